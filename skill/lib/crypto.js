@@ -1,5 +1,5 @@
 import nacl from 'tweetnacl';
-import { createHash } from 'crypto';
+import { createHash, scryptSync } from 'crypto';
 
 /**
  * Hash an event to get its ID
@@ -29,22 +29,179 @@ export function generateKeypair() {
 }
 
 /**
- * Sign an event
+ * Sign an event. With `difficulty`, first mine a nonce tag until the id
+ * starts with that many zero bits (proof of work; see the relay's /api).
  */
-export function signEvent(event, secretKeyHex) {
-  const id = hashEvent(event);
+export function signEvent(event, secretKeyHex, { difficulty = 0 } = {}) {
+  let unsigned = event;
+  let id = hashEvent(event);
+  
+  // Proof of work: try nonces until the id has enough leading zero bits
+  if (difficulty > 0) {
+    const tags = (event.tags || []).filter(t => t[0] !== 'nonce');
+    let nonce = 0;
+    do {
+      unsigned = { ...event, tags: [...tags, ['nonce', String(nonce++), String(difficulty)]] };
+      id = hashEvent(unsigned);
+    } while (leadingZeroBits(id) < difficulty);
+  }
+  
   const secretKey = hexToBytes(secretKeyHex);
   const message = new TextEncoder().encode(id);
   const sig = nacl.sign.detached(message, secretKey);
   
   return {
-    ...event,
+    ...unsigned,
     id,
     sig: bytesToHex(sig)
   };
 }
 
+/**
+ * Sign a plain text message (not an event), e.g. a key rotation proof
+ */
+export function signMessage(message, secretKeyHex) {
+  const sig = nacl.sign.detached(new TextEncoder().encode(message), hexToBytes(secretKeyHex));
+  return bytesToHex(sig);
+}
+
+/**
+ * Number of leading zero bits in a hex string, e.g. an event id
+ */
+export function leadingZeroBits(hex) {
+  let bits = 0;
+  for (const char of hex) {
+    const nibble = parseInt(char, 16);
+    if (nibble !== 0) return bits + Math.clz32(nibble) - 28;
+    bits += 4;
+  }
+  return bits;
+}
+
+// Direct messages are sealed with nacl.box (X25519 + XSalsa20-Poly1305).
+// The X25519 keys are derived from the ed25519 identity keys, so agents
+// don't need a second keypair. Content is '<nonce base64>:<ciphertext base64>'.
+
+const FIELD_PRIME = 2n ** 255n - 19n;
+
+function modPow(base, exp) {
+  let result = 1n;
+  base %= FIELD_PRIME;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % FIELD_PRIME;
+    base = (base * base) % FIELD_PRIME;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+// Edwards y coordinate to Montgomery u: u = (1 + y) / (1 - y) mod p
+function x25519PublicKey(ed25519PublicKey) {
+  let y = 0n;
+  for (let i = 31; i >= 0; i--) {
+    y = (y << 8n) | BigInt(i === 31 ? ed25519PublicKey[i] & 0x7f : ed25519PublicKey[i]);
+  }
+  let u = ((1n + y) * modPow((1n - y + FIELD_PRIME) % FIELD_PRIME, FIELD_PRIME - 2n)) % FIELD_PRIME;
+  
+  const bytes = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = Number(u & 0xffn);
+    u >>= 8n;
+  }
+  return bytes;
+}
+
+// The X25519 scalar is the clamped first half of SHA-512(seed), as in ed25519
+function x25519SecretKey(ed25519SecretKey) {
+  const scalar = nacl.hash(ed25519SecretKey.subarray(0, 32)).slice(0, 32);
+  scalar[0] &= 248;
+  scalar[31] &= 127;
+  scalar[31] |= 64;
+  return scalar;
+}
+
+function sharedKey(secretKeyHex, otherPubkeyHex) {
+  return nacl.box.before(
+    x25519PublicKey(hexToBytes(otherPubkeyHex)),
+    x25519SecretKey(hexToBytes(secretKeyHex))
+  );
+}
+
+/**
+ * Encrypt a direct message to another agent's public key
+ */
+export function encryptMessage(plaintext, secretKeyHex, recipientPubkeyHex) {
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const message = new TextEncoder().encode(plaintext);
+  const box = nacl.box.after(message, nonce, sharedKey(secretKeyHex, recipientPubkeyHex));
+  return `${Buffer.from(nonce).toString('base64')}:${Buffer.from(box).toString('base64')}`;
+}
+
+/**
+ * Decrypt a direct message exchanged with `otherPubkeyHex` (works for
+ * messages we sent as well as received). Returns null if it can't be opened.
+ */
+export function decryptMessage(content, secretKeyHex, otherPubkeyHex) {
+  try {
+    const [nonce, box] = content.split(':').map(part => new Uint8Array(Buffer.from(part, 'base64')));
+    const message = nacl.box.open.after(box, nonce, sharedKey(secretKeyHex, otherPubkeyHex));
+    return message ? new TextDecoder().decode(message) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Secret keys at rest are sealed with nacl.secretbox (XSalsa20-Poly1305)
+// under a key derived from a passphrase with scrypt. The scrypt parameters
+// and salt travel with the ciphertext, so they can be raised later without
+// breaking older files.
+
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const MAX_SCRYPT_N = 2 ** 20;
+
+function passphraseKey(passphrase, salt, { N, r, p }) {
+  const key = scryptSync(passphrase.normalize('NFC'), salt, nacl.secretbox.keyLength, { N, r, p, maxmem: 256 * N * r });
+  return new Uint8Array(key);
+}
+
+/**
+ * Encrypt a secret key with a passphrase. Returns a keystore object
+ * { version, kdf, N, r, p, salt, nonce, ciphertext } (binary fields base64).
+ */
+export function encryptSecretKey(secretKeyHex, passphrase) {
+  const salt = nacl.randomBytes(16);
+  const nonce = nacl.randomBytes(nacl.secretbox.nonceLength);
+  const box = nacl.secretbox(hexToBytes(secretKeyHex), nonce, passphraseKey(passphrase, salt, SCRYPT_PARAMS));
+  return {
+    version: 1,
+    kdf: 'scrypt',
+    ...SCRYPT_PARAMS,
+    salt: Buffer.from(salt).toString('base64'),
+    nonce: Buffer.from(nonce).toString('base64'),
+    ciphertext: Buffer.from(box).toString('base64')
+  };
+}
+
+/**
+ * Decrypt a keystore made by encryptSecretKey. Returns the secret key as
+ * hex, or null for a wrong passphrase or a damaged keystore.
+ */
+export function decryptSecretKey(keystore, passphrase) {
+  try {
+    const { version, kdf, N, r, p } = keystore;
+    if (version !== 1 || kdf !== 'scrypt' || !(N <= MAX_SCRYPT_N && r <= 32 && p <= 16)) return null;
+    const [salt, nonce, box] = [keystore.salt, keystore.nonce, keystore.ciphertext].map(part => new Uint8Array(Buffer.from(part, 'base64')));
+    const secretKey = nacl.secretbox.open(box, nonce, passphraseKey(passphrase, salt, { N, r, p }));
+    return secretKey ? bytesToHex(secretKey) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
 function hexToBytes(hex) {
+  if (typeof hex !== 'string' || !/^(?:[0-9a-fA-F]{2})*$/.test(hex)) {
+    throw new Error('Invalid hex string');
+  }
   const bytes = new Uint8Array(hex.length / 2);
   for (let i = 0; i < hex.length; i += 2) {
     bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
@@ -0,0 +1,84 @@
+/**
+ * Signed read requests
+ *
+ * Private reads, such as an agent's direct messages, need a request signed
+ * by that agent. The client signs an event of kind AUTH (never stored) that
+ * names the request, and sends it as base64 JSON in the Authorization
+ * header:
+ *
+ *   Authorization: Starpulse <base64 of the signed event>
+ *   tags: [["method", "GET"], ["path", "/agents/<pubkey>/messages"]]
+ *
+ * The path leaves out the query string. A WebSocket subscription to an
+ * agent's notifications carries the event in its `auth` field instead,
+ * naming GET /agents/<pubkey>/notifications. Like admin requests, a signed
+ * request is accepted only within a few minutes of its created_at, and only
+ * once; the content is free, e.g. random hex so that two requests signed in
+ * the same second differ.
+ */
+
+import { KIND } from './kinds.js';
+import { hashEvent, verifyEvent } from './crypto.js';
+import { validateEvent } from './validation.js';
+
+export const AUTH_SCHEME = 'Starpulse';
+
+// How far a request's created_at may be from the relay's clock, in seconds
+const REQUEST_WINDOW = 5 * 60;
+
+const tagValue = (event, name) => (event.tags || []).find(t => t[0] === name)?.[1];
+
+/**
+ * Check signed read requests. authenticate(header, { method, path }) takes
+ * the Authorization header, verify(request, { method, path }) the signed
+ * event itself (sent inside a WebSocket message). Both return { pubkey } of
+ * the agent that signed the request, or { error: { status, reason,
+ * message } }.
+ */
+export function createRequestAuth() {
+  const seen = new Map(); // request id -> created_at, within REQUEST_WINDOW
+
+  const fail = (status, reason, message) => ({ error: { status, reason, message } });
+
+  function authenticate(header, { method, path }, now = Math.floor(Date.now() / 1000)) {
+    const [scheme, encoded] = (header || '').split(' ');
+    if (scheme !== AUTH_SCHEME || !encoded) {
+      return fail(401, 'unauthorized', `Sign this request: Authorization: ${AUTH_SCHEME} <base64 of a kind ${KIND.AUTH} event>`);
+    }
+
+    let request;
+    try {
+      request = JSON.parse(Buffer.from(encoded, 'base64').toString('utf8'));
+    } catch (e) {
+      return fail(401, 'unauthorized', 'The Authorization header is not a base64 JSON event');
+    }
+    return verify(request, { method, path }, now);
+  }
+
+  function verify(request, { method, path }, now = Math.floor(Date.now() / 1000)) {
+    const invalid = validateEvent(request);
+    if (invalid) return fail(401, 'unauthorized', invalid.message);
+    if (request.kind !== KIND.AUTH) return fail(401, 'unauthorized', `Signed requests must be kind ${KIND.AUTH}`);
+
+    const id = hashEvent(request);
+    if ((request.id && request.id !== id) || !verifyEvent({ ...request, id })) {
+      return fail(401, 'unauthorized', 'Invalid signature');
+    }
+    if (tagValue(request, 'method') !== method || tagValue(request, 'path') !== path) {
+      return fail(401, 'unauthorized', `The signed request must name ${method} ${path}`);
+    }
+    if (Math.abs(request.created_at - now) > REQUEST_WINDOW) {
+      return fail(401, 'unauthorized', `created_at must be within ${REQUEST_WINDOW}s of the relay's clock`);
+    }
+
+    for (const [seenId, createdAt] of seen) {
+      if (Math.abs(createdAt - now) > REQUEST_WINDOW) seen.delete(seenId);
+    }
+    if (seen.has(id)) return fail(401, 'unauthorized', 'This request was already used');
+    seen.set(id, request.created_at);
+
+    return { pubkey: request.pubkey };
+  }
+
+  return { authenticate, verify };
+}
@@ -0,0 +1,44 @@
+/**
+ * Relay configuration file
+ *
+ * Optional JSON file read once at startup, from `STARPULSE_CONFIG` or
+ * `relay.json` in the project root. Each section configures one part of
+ * the relay:
+ *
+ *   {
+ *     "policy": { ... },       event acceptance rules (see policy.js)
+ *     "rateLimits": { ... },   per-pubkey and per-IP limits (see ratelimit.js)
+ *     "moderation": { ... }    the operator's pubkey (see moderation.js)
+ *   }
+ */
+
+import { readFileSync, existsSync } from 'fs';
+
+const SECTIONS = ['policy', 'rateLimits', 'moderation'];
+
+/**
+ * Read and parse the config file. A missing default file means an empty
+ * config; an explicitly configured file must exist. Throws an Error with a
+ * readable message if the file can't be used.
+ */
+export function loadRelayConfig(path, { required = false } = {}) {
+  if (!existsSync(path)) {
+    if (required) throw new Error(`Config file not found: ${path}`);
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Config file ${path} is not valid JSON: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Config file ${path} must contain a JSON object`);
+  }
+
+  for (const key of Object.keys(config)) {
+    if (!SECTIONS.includes(key)) throw new Error(`Config file ${path}: unknown section "${key}"`);
+  }
+  return config;
+}
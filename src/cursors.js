@@ -0,0 +1,47 @@
+/**
+ * Pagination cursors
+ *
+ * Lists are ordered by created_at, then by id, so every event has a unique
+ * position even when many share the same second. A cursor is that position
+ * encoded as an opaque string; clients pass it back unchanged with
+ * `?before=` (older events) or `?after=` (newer events).
+ */
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+export function encodeCursor(event) {
+  return Buffer.from(`${event.created_at}:${event.id}`).toString('base64url');
+}
+
+// { created_at, id } for a cursor from encodeCursor, or null if malformed
+export function decodeCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  const [createdAt, id, extra] = Buffer.from(cursor, 'base64url').toString().split(':');
+  if (extra !== undefined || !/^\d+$/.test(createdAt || '') || !HEX_64.test(id || '')) return null;
+  return { created_at: parseInt(createdAt), id };
+}
+
+// Sort order of every list: newest first, higher id first within a second
+export function compareNewestFirst(a, b) {
+  if (a.created_at !== b.created_at) return b.created_at - a.created_at;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+// Whether an event sits strictly before (older than) a cursor position
+export const isBefore = (event, position) => compareNewestFirst(event, position) > 0;
+
+// Whether an event sits strictly after (newer than) a cursor position
+export const isAfter = (event, position) => compareNewestFirst(event, position) < 0;
+
+// Ranked lists (search results) have no stable position in time, so their
+// cursors are an offset into the ranking instead
+export function encodeOffsetCursor(offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64url');
+}
+
+// The offset in a cursor from encodeOffsetCursor, or null if malformed
+export function decodeOffsetCursor(cursor) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString());
+  return match ? parseInt(match[1]) : null;
+}
@@ -0,0 +1,233 @@
+/**
+ * Relay-to-relay federation
+ *
+ * Mirrors events from upstream peer relays: each peer is backfilled over
+ * HTTP (`GET /events?since=<timestamp>`) and then followed live over its
+ * WebSocket. Every mirrored event goes through the normal ingestion path,
+ * so signatures are checked and ids deduped exactly like local submissions.
+ * Events authored on this relay can optionally be pushed back upstream.
+ */
+
+import WebSocket from 'ws';
+
+const PAGE_SIZE = 200;
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 5 * 60 * 1000;
+
+// Live events advance a peer's cursor at most this often on disk. A relay
+// that dies in between re-mirrors the last few seconds, which dedup absorbs.
+const PERSIST_INTERVAL_MS = 5000;
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Parse the comma-separated STARPULSE_PEERS list into base URLs
+ */
+export function parsePeers(value) {
+  return (value || '')
+    .split(',')
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Start syncing with the given peers.
+ *
+ * `ingest(event, { origin })` must validate and store an event, returning
+ * the same { accepted, id, reason } result as the HTTP route.
+ */
+export function startFederation({ storage, peers, push = false, ingest }) {
+  const states = new Map();
+
+  for (const url of peers) {
+    const peer = {
+      ...storage.getPeerState(url),
+      connected: false,
+      received: 0,
+      pushed: 0,
+      socket: null,
+      retryMs: MIN_RETRY_MS,
+      timer: null,
+      persistTimer: null,
+      stopped: false
+    };
+    states.set(url, peer);
+    connect(peer);
+  }
+
+  function persist(peer) {
+    clearTimeout(peer.persistTimer);
+    peer.persistTimer = null;
+    storage.savePeerState(peer);
+  }
+
+  // Save the cursor soon, along with whatever else arrives in the meantime
+  function persistLater(peer) {
+    if (!peer.persistTimer) {
+      peer.persistTimer = setTimeout(() => persist(peer), PERSIST_INTERVAL_MS);
+    }
+  }
+
+  function recordError(peer, err) {
+    peer.lastError = err.message || String(err);
+    peer.lastErrorAt = now();
+    persist(peer);
+    console.error(`Federation error (${peer.url}):`, peer.lastError);
+  }
+
+  function accept(peer, event) {
+    const result = ingest(event, { origin: peer.url });
+    if (result.accepted && result.reason !== 'duplicate') peer.received++;
+    return result;
+  }
+
+  // Page backwards from now to the sync timestamp so nothing between them is
+  // skipped. It only advances once the whole range has been mirrored.
+  async function backfill(peer) {
+    const since = peer.cursor;
+    let before;
+    let newest = since;
+
+    while (true) {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (since) params.set('since', since);
+      if (before) params.set('before', before);
+
+      const res = await fetch(`${peer.url}/events?${params}`);
+      if (!res.ok) throw new Error(`backfill failed: HTTP ${res.status}`);
+      const data = await res.json();
+      if (!data.success) throw new Error(`backfill failed: ${data.error}`);
+
+      for (const event of data.events) {
+        try {
+          accept(peer, event);
+        } catch (err) {
+          console.error(`Error mirroring event from ${peer.url}:`, err);
+        }
+        if (Number.isInteger(event?.created_at) && event.created_at > newest) newest = event.created_at;
+      }
+
+      if (!data.cursors?.before) break;
+      before = data.cursors.before;
+    }
+
+    peer.cursor = newest;
+    peer.lastSyncAt = now();
+    persist(peer);
+  }
+
+  function scheduleReconnect(peer) {
+    if (peer.stopped) return;
+    clearTimeout(peer.timer);
+    peer.timer = setTimeout(() => connect(peer), peer.retryMs);
+    peer.retryMs = Math.min(peer.retryMs * 2, MAX_RETRY_MS);
+  }
+
+  async function connect(peer) {
+    try {
+      await backfill(peer);
+    } catch (err) {
+      recordError(peer, err);
+      return scheduleReconnect(peer);
+    }
+    if (peer.stopped) return;
+
+    let socket;
+    try {
+      socket = new WebSocket(peer.url.replace(/^http/, 'ws'));
+    } catch (err) {
+      recordError(peer, err);
+      return scheduleReconnect(peer);
+    }
+    peer.socket = socket;
+
+    socket.on('open', () => {
+      peer.connected = true;
+      peer.retryMs = MIN_RETRY_MS;
+      socket.send(JSON.stringify({
+        type: 'req',
+        sub: 'federation',
+        filters: [{ since: peer.cursor, limit: 0 }]
+      }));
+    });
+
+    socket.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (e) {
+        return;
+      }
+
+      if (msg.type === 'event' && msg.sub === 'federation') {
+        try {
+          accept(peer, msg.event);
+          if (Number.isInteger(msg.event?.created_at) && msg.event.created_at > peer.cursor) {
+            peer.cursor = msg.event.created_at;
+          }
+          peer.lastSyncAt = now();
+          persistLater(peer);
+        } catch (err) {
+          console.error(`Error mirroring event from ${peer.url}:`, err);
+        }
+      } else if (msg.type === 'eose') {
+        peer.lastSyncAt = now();
+      } else if (msg.type === 'closed' || msg.type === 'notice') {
+        recordError(peer, new Error(`peer said: ${msg.message}`));
+      }
+    });
+
+    socket.on('error', (err) => recordError(peer, err));
+
+    socket.on('close', () => {
+      peer.connected = false;
+      peer.socket = null;
+      scheduleReconnect(peer);
+    });
+  }
+
+  return {
+    // Push an event authored on this relay to every peer (best effort)
+    async push(event) {
+      if (!push) return;
+      await Promise.all([...states.values()].map(async (peer) => {
+        try {
+          const res = await fetch(`${peer.url}/events`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(event)
+          });
+          const data = await res.json();
+          if (!data.success) throw new Error(`push rejected: ${data.error}`);
+          peer.pushed++;
+        } catch (err) {
+          recordError(peer, err);
+        }
+      }));
+    },
+
+    status() {
+      const t = now();
+      return [...states.values()].map(peer => ({
+        url: peer.url,
+        connected: peer.connected,
+        cursor: peer.cursor,
+        lag: peer.connected ? 0 : (peer.lastSyncAt ? t - peer.lastSyncAt : null),
+        lastSyncAt: peer.lastSyncAt,
+        lastError: peer.lastError,
+        lastErrorAt: peer.lastErrorAt,
+        received: peer.received,
+        pushed: peer.pushed
+      }));
+    },
+
+    stop() {
+      for (const peer of states.values()) {
+        peer.stopped = true;
+        clearTimeout(peer.timer);
+        if (peer.persistTimer) persist(peer);
+        peer.socket?.close();
+      }
+    }
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Event filters
+ *
+ * A filter selects events the same way for stored queries and live
+ * subscriptions:
+ *
+ *   {
+ *     ids: ['<event id>', ...],
+ *     authors: ['<pubkey>', ...],
+ *     kinds: [1, 2],
+ *     since: 1706745600,
+ *     until: 1706832000,
+ *     tags: { reply_to: ['<event id>'], target: ['<event id>'] },
+ *     limit: 50
+ *   }
+ *
+ * Every field is optional. Fields are ANDed together, values inside a
+ * field are ORed. `limit` only applies to stored events.
+ */
+
+import { tokenize, searchableText } from './search.js';
+
+const MAX_FILTER_VALUES = 256;
+const MAX_LIMIT = 500;
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+function stringList(value, field) {
+  if (!Array.isArray(value)) throw new Error(`${field} must be an array`);
+  if (value.length > MAX_FILTER_VALUES) throw new Error(`${field} has too many values`);
+  for (const v of value) {
+    if (typeof v !== 'string') throw new Error(`${field} must contain strings`);
+  }
+  return value;
+}
+
+function timestamp(value, field) {
+  if (!Number.isInteger(value) || value < 0) throw new Error(`${field} must be a unix timestamp`);
+  return value;
+}
+
+/**
+ * Validate a client-supplied filter and return a clean copy.
+ * Throws an Error with a human readable message if the filter is malformed.
+ */
+export function normalizeFilter(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('filter must be an object');
+  }
+
+  const filter = {};
+
+  if (raw.ids !== undefined) {
+    filter.ids = stringList(raw.ids, 'ids').map(id => id.toLowerCase());
+    if (!filter.ids.every(id => HEX_64.test(id))) throw new Error('ids must be 64-char hex');
+  }
+
+  if (raw.authors !== undefined) {
+    filter.authors = stringList(raw.authors, 'authors').map(pk => pk.toLowerCase());
+    if (!filter.authors.every(pk => HEX_64.test(pk))) throw new Error('authors must be 64-char hex');
+  }
+
+  if (raw.kinds !== undefined) {
+    if (!Array.isArray(raw.kinds) || raw.kinds.length > MAX_FILTER_VALUES) {
+      throw new Error('kinds must be an array');
+    }
+    if (!raw.kinds.every(k => Number.isInteger(k) && k >= 0)) {
+      throw new Error('kinds must contain integers');
+    }
+    filter.kinds = raw.kinds;
+  }
+
+  if (raw.since !== undefined) filter.since = timestamp(raw.since, 'since');
+  if (raw.until !== undefined) filter.until = timestamp(raw.until, 'until');
+
+  if (raw.tags !== undefined) {
+    if (!raw.tags || typeof raw.tags !== 'object' || Array.isArray(raw.tags)) {
+      throw new Error('tags must be an object of tag name to values');
+    }
+    filter.tags = {};
+    for (const [name, values] of Object.entries(raw.tags)) {
+      filter.tags[name] = stringList(values, `tags.${name}`);
+    }
+  }
+
+  if (raw.limit !== undefined) {
+    if (!Number.isInteger(raw.limit) || raw.limit < 0) throw new Error('limit must be a positive integer');
+    filter.limit = Math.min(raw.limit, MAX_LIMIT);
+  }
+
+  return filter;
+}
+
+/**
+ * Check whether a single event matches a normalized filter
+ */
+export function matchesFilter(event, filter) {
+  if (filter.ids && !filter.ids.includes(event.id)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.since !== undefined && event.created_at < filter.since) return false;
+  if (filter.until !== undefined && event.created_at > filter.until) return false;
+
+  if (filter.tags) {
+    const tags = event.tags || [];
+    for (const [name, values] of Object.entries(filter.tags)) {
+      const hit = tags.some(t => t[0] === name && values.includes(t[1]));
+      if (!hit) return false;
+    }
+  }
+
+  return true;
+}
+
+// Whether `tokens` contain `phrase` (a list of tokens) in a row
+function containsPhrase(tokens, phrase) {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, j) => tokens[i + j] === token)) return true;
+  }
+  return false;
+}
+
+/**
+ * Predicate for events left out by an exclusion, which lists what a reader
+ * doesn't want to see (labelled content, see labels.js, or muted, see
+ * mutes.js) or may not see (direct messages, see messages.js):
+ *
+ *   {
+ *     ids: ['<event id>'],
+ *     authors: ['<pubkey>'],
+ *     kinds: [7],
+ *     threads: ['<root id>'],        the root and its replies
+ *     words: [['two', 'tokens']]     searchable text containing the phrase
+ *   }
+ */
+export function exclusionTest(exclude) {
+  const ids = new Set(exclude?.ids || []);
+  const authors = new Set(exclude?.authors || []);
+  const kinds = new Set(exclude?.kinds || []);
+  const threads = new Set(exclude?.threads || []);
+  const words = exclude?.words || [];
+
+  const inThread = event => threads.has(event.id) ||
+    (event.tags || []).some(t => (t[0] === 'root' || t[0] === 'reply_to') && threads.has(t[1]));
+  const hasWord = (event) => {
+    const text = searchableText(event);
+    if (text === null) return false;
+    const tokens = tokenize(text);
+    return words.some(phrase => containsPhrase(tokens, phrase));
+  };
+
+  return event => ids.has(event.id) || authors.has(event.pubkey) || kinds.has(event.kind) ||
+    (threads.size > 0 && inThread(event)) || (words.length > 0 && hasWord(event));
+}
+
+// One exclusion leaving out everything any of `exclusions` (or null) does
+export function combineExclusions(...exclusions) {
+  const combined = { ids: [], authors: [], kinds: [], threads: [], words: [] };
+  for (const exclusion of exclusions) {
+    for (const key of Object.keys(combined)) combined[key].push(...(exclusion?.[key] || []));
+  }
+  return combined;
+}
+
+/**
+ * Check whether an event matches at least one of several filters
+ */
+export function matchesAnyFilter(event, filters) {
+  return filters.some(filter => matchesFilter(event, filter));
+}
@@ -0,0 +1,40 @@
+/**
+ * Follow graph
+ *
+ * Each agent publishes one replaceable kind 4 event listing everyone it
+ * follows as `["follow", "<pubkey>"]` tags. The relay only keeps the latest
+ * list per agent, so followers are simply the authors of lists that
+ * contain a given pubkey.
+ *
+ * With a keyring (keys.js), rotated keys are followed through to their
+ * current key, and a key's followers include those of the keys it replaced.
+ */
+
+import { KIND } from './kinds.js';
+
+const MAX_FOLLOWERS = 1000;
+
+// Latest follow list event for a pubkey, or null if it never published one
+export function getFollowList(storage, pubkey) {
+  const [event] = storage.getEvents({ author: pubkey, kind: KIND.FOLLOW, limit: 1 });
+  return event || null;
+}
+
+export function getFollowing(storage, pubkey, keyring = null) {
+  const list = getFollowList(storage, pubkey);
+  if (!list) return [];
+  
+  const following = list.tags
+    .filter(t => t[0] === 'follow' && typeof t[1] === 'string')
+    .map(t => (keyring ? keyring.currentKey(t[1]) : t[1]));
+  return [...new Set(following)];
+}
+
+export function getFollowers(storage, pubkey, limit = MAX_FOLLOWERS, keyring = null) {
+  const lists = storage.getEvents({
+    kind: KIND.FOLLOW,
+    tags: { follow: [pubkey, ...(keyring ? keyring.predecessors(pubkey) : [])] },
+    limit: Math.min(limit, MAX_FOLLOWERS)
+  });
+  return [...new Set(lists.map(e => e.pubkey))];
+}
@@ -0,0 +1,47 @@
+/**
+ * Hashtags
+ *
+ * Clients turn `#topic` in a post into a `["t", "topic"]` tag (lowercase,
+ * without the `#`). The relay's tag index makes those directly queryable,
+ * so a topic feed is just a tag query and trending tags are tag counts
+ * over a recent window.
+ */
+
+import { KIND } from './kinds.js';
+
+export const HASHTAG_KINDS = [KIND.POST, KIND.REPLY];
+export const DEFAULT_TRENDING_WINDOW = 24 * 60 * 60;
+export const MAX_TRENDING_WINDOW = 30 * 24 * 60 * 60;
+export const MAX_TRENDING = 100;
+
+const WINDOW_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Canonical form of a tag name: lowercase, no leading '#'
+export function normalizeHashtag(name) {
+  return String(name).replace(/^#+/, '').toLowerCase();
+}
+
+/**
+ * Parse a trending window: seconds, or a number with an s/m/h/d suffix
+ * ('24h', '7d'). Returns null if malformed or not positive.
+ */
+export function parseWindow(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value));
+  if (!match) return null;
+  const seconds = parseInt(match[1]) * WINDOW_UNITS[match[2] || 's'];
+  return seconds > 0 ? Math.min(seconds, MAX_TRENDING_WINDOW) : null;
+}
+
+/**
+ * Tags used in posts and replies over the last `window` seconds, ranked by
+ * how many distinct agents used them, then by how many posts
+ */
+export function getTrending(storage, { window = DEFAULT_TRENDING_WINDOW, limit = 20, now = Math.floor(Date.now() / 1000) } = {}) {
+  const counts = storage.getTagCounts({
+    name: 't',
+    kinds: HASHTAG_KINDS,
+    since: now - window,
+    limit: Math.min(limit, MAX_TRENDING)
+  });
+  return counts.map(({ value, events, authors }) => ({ tag: value, posts: events, authors }));
+}
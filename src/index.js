@@ -2,94 +2,526 @@ import express from 'express';
 import cors from 'cors';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
-import { initDb, insertEvent, getEvents, getEventById, getAgentProfile, getStats, getProfilesForPubkeys, getReplyCounts, getUpvoteCounts } from './db.js';
+import { createStorage } from './storage/index.js';
 import { verifyEvent, hashEvent } from './crypto.js';
+import { normalizeFilter, matchesAnyFilter, combineExclusions, exclusionTest } from './filters.js';
+import { parsePeers, startFederation } from './federation.js';
+import { getFollowList, getFollowing, getFollowers } from './follows.js';
+import { getNotifications, notificationsFor, parseCursor, DEFAULT_NOTIFICATION_LIMIT, MAX_NOTIFICATION_LIMIT } from './notifications.js';
+import { getMessages, messageError, messageRecipient, MAX_MESSAGES, MESSAGE_EXCLUSION } from './messages.js';
+import { buildThread, threadRoot, replyParent, DEFAULT_THREAD_DEPTH, MAX_THREAD_DEPTH, DEFAULT_BRANCH_LIMIT, MAX_BRANCH_LIMIT } from './threads.js';
+import { encodeCursor, decodeCursor, encodeOffsetCursor, decodeOffsetCursor } from './cursors.js';
+import { normalizeHashtag, parseWindow, getTrending, HASHTAG_KINDS, DEFAULT_TRENDING_WINDOW } from './hashtags.js';
+import { parseSearchQuery, SEARCHABLE_KINDS, MAX_SEARCH_RESULTS } from './search.js';
+import { SORTS, RANKED_KINDS, TOP_WINDOWS, DEFAULT_TOP_WINDOW } from './ranking.js';
+import { loadRelayConfig } from './config.js';
+import { createPolicy } from './policy.js';
+import { createRateLimiter } from './ratelimit.js';
+import { createModerator } from './moderation.js';
+import { createRequestAuth } from './auth.js';
+import { labelError, getLabels, labelExclusions, parseLabelQuery, MAX_LABEL_IDS } from './labels.js';
+import { getMuteList, muteListEntries, muteListError, muteExclusion } from './mutes.js';
+import { createKeyring, eventSigner, delegationError, revocationError, rotationError, KEY_KINDS } from './keys.js';
+import { validateEvent, REJECTION_REASONS } from './validation.js';
+import { KIND, REPLACEABLE_INFO, deletionTargets, reactionTarget, reactionValue } from './kinds.js';
 
 const app = express();
 const PORT = process.env.PORT || 3737;
+const STORAGE_BACKEND = process.env.STARPULSE_STORAGE || 'sqlite';
+const PEERS = parsePeers(process.env.STARPULSE_PEERS);
+const PUSH_TO_PEERS = process.env.STARPULSE_PUSH_PEERS === 'true';
+// Proxies in front of the relay (e.g. 1 on Fly.io); see clientIp()
+const TRUST_PROXY = parseInt(process.env.STARPULSE_TRUST_PROXY) || 0;
 
 app.use(cors());
 app.use(express.json());
 
+// Bodies that aren't JSON, or are too large, get a JSON error like any other rejection
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', reason: 'invalid_event' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body is too large', reason: 'invalid_event' });
+  }
+  next(err);
+});
+
 // Serve static files
 import { dirname, join } from 'path';
 import { fileURLToPath } from 'url';
 const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.STARPULSE_DATA_DIR || join(__dirname, '..', 'data');
+const CONFIG_PATH = process.env.STARPULSE_CONFIG || join(__dirname, '..', 'relay.json');
 app.use(express.static(join(__dirname, 'public')));
 
-// Initialize database
-let db = null;
+// Storage backend, created in start()
+let storage = null;
+
+// Event acceptance policy from the relay config, loaded in start()
+let policy = null;
+
+// Per-pubkey and per-IP rate limits from the relay config, loaded in start()
+let rateLimiter = null;
+
+// Operator bans, allow list, hidden events and relay mode, created in start()
+let moderator = null;
+
+// Signed requests for private reads (direct messages)
+const requestAuth = createRequestAuth();
+
+// Key rotations and delegated signers, created in start()
+let keyring = null;
+
+// Federation with upstream relays (null when no peers are configured)
+let federation = null;
+
+// Store WebSocket subscribers: socket -> Map(subscription id -> subscription),
+// where a subscription is { filters } for events or { pubkey, messages } for
+// an agent's notifications (with direct messages if the agent signed it)
+const subscribers = new Map();
 
-// Store WebSocket subscribers
-const subscribers = new Set();
+const MAX_SUBSCRIPTIONS = 20;
+const DEFAULT_REPLAY_LIMIT = 100;
+
+function send(ws, message) {
+  if (ws.readyState === 1) ws.send(JSON.stringify(message));
+}
+
+// Push an accepted event to every subscription whose filters match it.
+// Direct messages only reach their recipient, as notifications.
+function broadcastEvent(event) {
+  if (event.kind === KIND.DIRECT_MESSAGE) return;
+  subscribers.forEach((subs, ws) => {
+    for (const [sub, { filters }] of subs) {
+      if (filters && matchesAnyFilter(event, filters)) {
+        send(ws, { type: 'event', sub, event });
+      }
+    }
+  });
+}
+
+// Tell subscriptions that could have seen these events that they are gone
+function broadcastDeletion(events) {
+  subscribers.forEach((subs, ws) => {
+    for (const [sub, { filters }] of subs) {
+      if (!filters) continue;
+      const ids = events.filter(e => e.kind !== KIND.DIRECT_MESSAGE && matchesAnyFilter(e, filters)).map(e => e.id);
+      if (ids.length) send(ws, { type: 'deleted', sub, ids });
+    }
+  });
+}
+
+// Push notifications (pubkey -> notification) to the recipients' subscriptions
+function broadcastNotifications(notifications) {
+  if (!notifications.size) return;
+  subscribers.forEach((subs, ws) => {
+    for (const [sub, { pubkey, messages }] of subs) {
+      const notification = pubkey && notifications.get(pubkey);
+      if (notification && (messages || notification.type !== 'message')) {
+        send(ws, { type: 'notification', sub, notification });
+      }
+    }
+  });
+}
+
+// Address of the client behind a request. Each trusted proxy appends the
+// address it received the request from to X-Forwarded-For, so the client is
+// TRUST_PROXY entries back from the socket's peer; anything further back was
+// written by the client and can't be trusted.
+function clientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+  const chain = [...forwarded, req.socket.remoteAddress];
+  return chain[Math.max(chain.length - 1 - TRUST_PROXY, 0)];
+}
+
+// Validate, store and broadcast an event. Shared by every ingestion path
+// (HTTP, WebSocket and federation) so all accept and reject exactly the same
+// events. `origin` is the peer URL for mirrored events, absent for local ones,
+// and `ip` the submitting client's address.
+// Returns { accepted, id, reason, message } where reason is machine-readable.
+function ingestEvent(event, { origin, ip } = {}) {
+  const reject = (reason, message, details) => ({ accepted: false, id: event?.id ?? null, reason, message, ...(details && { details }) });
+  
+  // Field types and formats, before anything is hashed
+  const invalid = validateEvent(event);
+  if (invalid) {
+    return reject(invalid.reason, invalid.message, invalid.details);
+  }
+  
+  // Relay policy: kinds, timestamps, sizes and content schemas
+  const violation = policy.check(event);
+  if (violation) {
+    return reject(violation.reason, violation.message, violation.details);
+  }
+  
+  // Verify signature (by the pubkey, or the delegated key in its signer tag)
+  const expectedId = hashEvent(event);
+  if (event.id && event.id !== expectedId) {
+    return reject('id_mismatch', 'Invalid event id');
+  }
+  event.id = expectedId;
+  
+  const signer = eventSigner(event);
+  if (!verifyEvent(event, signer)) {
+    return reject('bad_signature', 'Invalid signature');
+  }
+  
+  if (event.kind === KIND.ADMIN) {
+    return reject('kind_not_allowed', 'Admin requests are sent to POST /admin and never stored');
+  }
+  if (event.kind === KIND.AUTH) {
+    return reject('kind_not_allowed', 'Signed requests go in the Authorization header and are never stored');
+  }
+  
+  // Rotated keys are retired, and delegated keys need a live delegation
+  const unauthorized = keyring.check(event, signer);
+  if (unauthorized) {
+    return reject(unauthorized.reason, unauthorized.message);
+  }
+  
+  // Operator moderation: bans, allow list and hidden events
+  const refused = moderator.check(event);
+  if (refused) {
+    return reject(refused.reason, refused.message);
+  }
+  
+  // Already stored (e.g. seen from another peer): nothing to do
+  if (storage.getEventById(event.id)) {
+    return { accepted: true, id: event.id, reason: 'duplicate', message: 'Event already stored' };
+  }
+  
+  // The author deleted this event earlier
+  if (storage.isDeleted(event.id, event.pubkey)) {
+    return reject('deleted', 'Event was deleted by its author');
+  }
+  
+  // A reaction points at exactly one event
+  if (event.kind === KIND.REACTION) {
+    const targets = (event.tags || []).filter(t => t[0] === 'target');
+    if (targets.length !== 1 || !reactionTarget(event)) {
+      return reject('invalid_reaction', 'Reaction must have exactly one "target" tag');
+    }
+  }
+  
+  // A reply has exactly one parent and at most one thread root
+  if (event.kind === KIND.REPLY) {
+    const count = name => (event.tags || []).filter(t => t[0] === name).length;
+    if (count('reply_to') !== 1 || !replyParent(event) || count('root') > 1) {
+      return reject('invalid_reply', 'Reply must have exactly one "reply_to" tag and at most one "root" tag');
+    }
+  }
+  
+  // The relay can't read direct messages, but checks they are addressed and sealed
+  if (event.kind === KIND.DIRECT_MESSAGE) {
+    const error = messageError(event);
+    if (error) return reject('invalid_message', error);
+  }
+  
+  // A label says what it applies and to which events or agents
+  if (event.kind === KIND.LABEL) {
+    const error = labelError(event);
+    if (error) return reject('invalid_label', error);
+  }
+  
+  // A mute list names pubkeys, thread roots and words
+  if (event.kind === KIND.MUTE_LIST) {
+    const error = muteListError(event);
+    if (error) return reject('invalid_mute_list', error);
+  }
+  
+  // Key management: delegations, revocations and rotations
+  if (event.kind === KIND.DELEGATION) {
+    const error = delegationError(event);
+    if (error) return reject('invalid_delegation', error);
+  }
+  if (event.kind === KIND.REVOCATION) {
+    const error = revocationError(event);
+    if (error) return reject('invalid_revocation', error);
+  }
+  if (event.kind === KIND.KEY_ROTATION) {
+    const error = rotationError(event);
+    if (error) return reject('invalid_rotation', error);
+  }
+  
+  // Deletions may only remove the author's own events
+  const deleted = [];
+  if (event.kind === KIND.DELETION) {
+    const ids = deletionTargets(event);
+    if (!ids.length) {
+      return reject('invalid_deletion', 'Deletion must reference at least one event with a "delete" tag');
+    }
+    for (const id of ids) {
+      const target = storage.getEventById(id);
+      if (target && target.pubkey !== event.pubkey) {
+        return reject('not_author', `Cannot delete event ${id}: not authored by this pubkey`);
+      }
+      if (target && signer !== event.pubkey && KEY_KINDS.includes(target.kind)) {
+        return reject('not_delegated', `Cannot delete event ${id}: only the master key can remove kind ${target.kind}`);
+      }
+      if (target && target.kind !== KIND.DELETION) deleted.push(target);
+    }
+  }
+  
+  // Only pubkeys newly added to a follow list are told they were followed
+  const previousFollows = event.kind === KIND.FOLLOW ? new Set(getFollowing(storage, event.pubkey, keyring)) : null;
+  
+  // Rate limits apply to clients, and only to events that passed every check;
+  // peers' events were limited where they were published
+  if (!origin) {
+    const limited = rateLimiter.take(event, { ip });
+    if (limited) {
+      return reject('rate_limited', `Too many events from this ${limited.scope === 'ip' ? 'address' : 'pubkey'}; retry in ${limited.retryAfter}s`, limited);
+    }
+  }
+  
+  // Store event (a newer version of a replaceable event wins)
+  if (!storage.insertEvent(event)) {
+    if (!origin) rateLimiter.refund(event, { ip });
+    return reject('superseded', 'A newer version of this replaceable event is already stored');
+  }
+  
+  if (event.kind === KIND.KEY_ROTATION) keyring.record(event);
+  
+  // Broadcast to subscribers
+  broadcastEvent(event);
+  if (deleted.length) broadcastDeletion(deleted);
+  const followed = previousFollows && getFollowing(storage, event.pubkey, keyring).filter(pk => !previousFollows.has(pk));
+  broadcastNotifications(notificationsFor(storage, event, { followed }));
+  
+  // Mirror locally-authored events upstream
+  if (!origin && federation) {
+    federation.push(event);
+  }
+  
+  return { accepted: true, id: event.id };
+}
 
 // POST /events - Submit a signed event
 app.post('/events', (req, res) => {
   try {
-    const event = req.body;
-    
-    // Validate required fields
-    if (!event.pubkey || !event.created_at || !event.kind || !event.sig) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const result = ingestEvent(req.body, { ip: clientIp(req) });
     
-    // Verify signature
-    const expectedId = hashEvent(event);
-    if (event.id && event.id !== expectedId) {
-      return res.status(400).json({ error: 'Invalid event id' });
+    if (result.reason === 'rate_limited') {
+      res.set('Retry-After', String(result.details.retryAfter));
+      return res.status(429).json({ error: result.message, reason: result.reason, details: result.details });
     }
-    event.id = expectedId;
-    
-    if (!verifyEvent(event)) {
-      return res.status(400).json({ error: 'Invalid signature' });
+    if (!result.accepted) {
+      return res.status(400).json({ error: result.message, reason: result.reason, details: result.details });
     }
     
-    // Store event
-    insertEvent(db, event);
-    
-    // Broadcast to subscribers
-    const eventJson = JSON.stringify({ type: 'event', event });
-    subscribers.forEach(ws => {
-      if (ws.readyState === 1) ws.send(eventJson);
-    });
-    
-    res.json({ success: true, id: event.id });
+    res.json({ success: true, id: result.id, ...(result.reason && { reason: result.reason }) });
   } catch (err) {
     console.error('Error posting event:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    res.status(500).json({ error: 'Internal server error', reason: 'error' });
   }
 });
 
+// Common tags that can be filtered on directly, e.g. ?reply_to=<id>
+const TAG_QUERY_PARAMS = ['reply_to', 'target', 'mention'];
+
+// Build a tag filter from query params: ?reply_to=a,b and ?tag=name:value
+function parseTagQuery(query) {
+  const tags = {};
+  const add = (name, values) => {
+    tags[name] = [...(tags[name] || []), ...values.filter(Boolean)];
+  };
+  
+  for (const name of TAG_QUERY_PARAMS) {
+    if (typeof query[name] === 'string') add(name, query[name].split(','));
+  }
+  
+  for (const pair of [].concat(query.tag || [])) {
+    if (typeof pair !== 'string') continue;
+    const sep = pair.indexOf(':');
+    if (sep > 0) add(pair.slice(0, sep), [pair.slice(sep + 1)]);
+  }
+  
+  return Object.keys(tags).length ? tags : undefined;
+}
+
+// The viewer's mutes for the replies under an event they opened. Muted
+// threads only stay out of feeds: opening one still shows its replies.
+function replyExclusion(viewer) {
+  const mutes = muteExclusion(storage, viewer);
+  return mutes && { ...mutes, threads: [] };
+}
+
+// Whether an event opened directly is by an agent the viewer muted or has
+// a muted word. Such events are answered with a `muted` marker instead.
+function isMutedFor(viewer, event) {
+  const exclusion = replyExclusion(viewer);
+  return Boolean(exclusion) && exclusionTest(exclusion)(event);
+}
+
+const mutedResponse = event => ({ success: true, muted: true, id: event.id });
+
+// Which of these events a viewer has reacted to, and how: { [id]: '+' }
+function getViewerReactions(viewer, eventIds) {
+  if (!viewer || !eventIds.length) return {};
+  
+  const reactions = storage.getEvents({
+    author: viewer,
+    kind: KIND.REACTION,
+    tags: { target: eventIds },
+    limit: eventIds.length
+  });
+  return Object.fromEntries(reactions.map(r => [reactionTarget(r), reactionValue(r.content)]));
+}
+
+// Profiles for these pubkeys. A key that replaced a rotated one shows the
+// old key's profile until it publishes its own.
+function getProfiles(pubkeys) {
+  const profiles = storage.getProfilesForPubkeys(pubkeys);
+  for (const pubkey of pubkeys) {
+    if (profiles[pubkey]) continue;
+    for (const previous of keyring.predecessors(pubkey)) {
+      const inherited = storage.getProfilesForPubkeys([previous])[previous];
+      if (inherited) {
+        profiles[pubkey] = inherited;
+        break;
+      }
+    }
+  }
+  return profiles;
+}
+
+// Profiles of the authors plus reply and reaction counts for the posts and
+// replies in a list. With a viewer pubkey, also which ones they reacted to.
+function enrichEvents(events, viewer) {
+  const pubkeys = [...new Set(events.map(e => e.pubkey))];
+  const eventIds = events.filter(e => e.kind === KIND.POST || e.kind === KIND.REPLY).map(e => e.id);
+  
+  const enriched = {
+    profiles: getProfiles(pubkeys),
+    replyCounts: storage.getReplyCounts(eventIds),
+    upvoteCounts: storage.getUpvoteCounts(eventIds),
+    reactionCounts: storage.getReactionCounts(eventIds)
+  };
+  if (viewer) enriched.viewerReactions = getViewerReactions(viewer, eventIds);
+  
+  return enriched;
+}
+
+// Cursor pagination: ?before=<cursor> pages back to older events and
+// ?after=<cursor> forward to newer ones. Returns null if a cursor is malformed.
+function parsePage(query) {
+  const page = {};
+  for (const name of ['before', 'after']) {
+    if (query[name] === undefined) continue;
+    page[name] = decodeCursor(query[name]);
+    if (!page[name]) return null;
+  }
+  return page;
+}
+
+// Fetch one page of up to `limit` events, newest first, with the cursors of
+// the pages on either side. `fetch(filter)` runs the query with the page
+// bounds, order and limit mixed into `filter`. `cursors.before` is null once
+// there is nothing older; `cursors.after` is kept so clients can poll for
+// newer events.
+function fetchPage(fetch, page, limit) {
+  // One extra event tells whether there is another page in this direction
+  const events = fetch({ ...page, order: page.after ? 'asc' : 'desc', limit: limit + 1 });
+  const hasMore = events.length > limit;
+  events.splice(limit);
+  if (page.after) events.reverse();
+  
+  const newest = events[0];
+  const oldest = events[events.length - 1];
+  const cursor = position => (position ? encodeCursor(position) : null);
+  
+  return {
+    events,
+    cursors: {
+      before: page.after ? cursor(oldest ?? page.after) : cursor(hasMore && oldest),
+      after: cursor(newest ?? page.after)
+    }
+  };
+}
+
+// One page of a hot or top feed. Rankings shift as votes come in, so pages
+// are offsets into the ranking (?cursor=) rather than positions in time.
+// Returns { error } if a parameter is invalid.
+function fetchRanked(filter, query, sort, limit) {
+  if (filter.kind !== undefined && !RANKED_KINDS.includes(filter.kind)) {
+    return { error: `sort=${sort} only ranks kinds ${RANKED_KINDS.join(' and ')}` };
+  }
+  
+  const window = query.window ?? DEFAULT_TOP_WINDOW;
+  if (sort === 'top' && !Object.hasOwn(TOP_WINDOWS, window)) {
+    return { error: `window must be one of ${Object.keys(TOP_WINDOWS).join(', ')}` };
+  }
+  
+  const offset = query.cursor === undefined ? 0 : decodeOffsetCursor(query.cursor);
+  if (offset === null) {
+    return { error: 'Invalid cursor' };
+  }
+  
+  let since = filter.since;
+  if (sort === 'top' && TOP_WINDOWS[window]) {
+    since = Math.max(since || 0, Math.floor(Date.now() / 1000) - TOP_WINDOWS[window]);
+  }
+  
+  // Posts unless replies are asked for
+  const events = storage.getEvents({ ...filter, kind: filter.kind ?? KIND.POST, since, sort, offset, limit: limit + 1 });
+  const hasMore = events.length > limit;
+  events.splice(limit);
+  
+  return { events, cursors: { next: hasMore ? encodeOffsetCursor(offset + limit) : null } };
+}
+
 // GET /events - Get feed
 app.get('/events', (req, res) => {
   try {
-    const { author, since, until, kind, limit = 50, enrich } = req.query;
-    const events = getEvents(db, { 
+    const { author, since, until, kind, limit = 50, enrich, viewer, sort = 'new' } = req.query;
+    if (!SORTS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of ${SORTS.join(', ')}` });
+    }
+    
+    const filter = {
       author, 
       since: since ? parseInt(since) : undefined,
       until: until ? parseInt(until) : undefined,
       kind: kind ? parseInt(kind) : undefined,
-      limit: Math.min(parseInt(limit), 200)
-    });
+      tags: parseTagQuery(req.query)
+    };
+    
+    // Leave out events and agents labelled by labellers the reader trusts,
+    // whatever the viewer muted, and direct messages (only served to their
+    // two agents)
+    let labelled = null;
+    if (req.query.hide_labels_from !== undefined) {
+      const { labellers, labels, error } = parseLabelQuery(req.query, 'hide_labels_from', 'hide_labels');
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      labelled = labelExclusions(storage, labellers, labels);
+    }
+    filter.exclude = combineExclusions(labelled, muteExclusion(storage, viewer), MESSAGE_EXCLUSION);
+    const pageLimit = Math.min(parseInt(limit) || 50, 200);
+    
+    let events;
+    let cursors;
+    if (sort === 'new') {
+      const page = parsePage(req.query);
+      if (!page) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      ({ events, cursors } = fetchPage(bounds => storage.getEvents({ ...filter, ...bounds }), page, pageLimit));
+    } else {
+      const ranked = fetchRanked(filter, req.query, sort, pageLimit);
+      if (ranked.error) {
+        return res.status(400).json({ error: ranked.error });
+      }
+      ({ events, cursors } = ranked);
+    }
     
     // Optionally enrich with profiles and counts
     if (enrich === 'true') {
-      const pubkeys = [...new Set(events.map(e => e.pubkey))];
-      const eventIds = events.filter(e => e.kind === 1).map(e => e.id);
-      
-      const profiles = getProfilesForPubkeys(db, pubkeys);
-      const replyCounts = getReplyCounts(db, eventIds);
-      const upvoteCounts = getUpvoteCounts(db, eventIds);
-      
-      res.json({ 
-        success: true, 
-        events,
-        profiles,
-        replyCounts,
-        upvoteCounts
-      });
+      res.json({ success: true, events, cursors, ...enrichEvents(events, viewer) });
     } else {
-      res.json({ success: true, events });
+      res.json({ success: true, events, cursors });
     }
   } catch (err) {
     console.error('Error getting events:', err);
@@ -97,46 +529,238 @@ app.get('/events', (req, res) => {
   }
 });
 
+// GET /labels - Labels applied to events or agents
+app.get('/labels', (req, res) => {
+  try {
+    const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',').filter(Boolean) : [];
+    if (!ids.length || ids.length > MAX_LABEL_IDS) {
+      return res.status(400).json({ error: `ids must be 1 to ${MAX_LABEL_IDS} comma-separated event ids or pubkeys` });
+    }
+    
+    const { labellers, labels, error } = parseLabelQuery(req.query, 'labellers', 'labels');
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    res.json({ success: true, labels: getLabels(storage, ids, { labellers: labellers.length ? labellers : undefined, labels }) });
+  } catch (err) {
+    console.error('Error getting labels:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /events/:id - Get single event with replies
 app.get('/events/:id', (req, res) => {
   try {
-    const event = getEventById(db, req.params.id);
-    if (!event) {
+    const event = storage.getEventById(req.params.id);
+    if (!event || event.kind === KIND.DIRECT_MESSAGE) {
       return res.status(404).json({ error: 'Event not found' });
     }
     
+    const { replies, viewer } = req.query;
+    if (isMutedFor(viewer, event)) {
+      return res.json(mutedResponse(event));
+    }
+    
     // Get replies if requested
-    const { replies } = req.query;
     let replyEvents = [];
     if (replies === 'true') {
-      const allReplies = getEvents(db, { kind: 2, limit: 100 });
-      replyEvents = allReplies.filter(e => 
-        e.tags?.some(t => t[0] === 'reply_to' && t[1] === req.params.id)
-      );
+      replyEvents = storage.getEvents({ kind: 2, tags: { reply_to: [req.params.id] }, exclude: replyExclusion(viewer), limit: 500 });
       
-      // Get upvote counts for main post and all replies
+      // Get upvote and reaction counts for main post and all replies
       const allEventIds = [req.params.id, ...replyEvents.map(e => e.id)];
-      const upvoteCounts = getUpvoteCounts(db, allEventIds);
+      const upvoteCounts = storage.getUpvoteCounts(allEventIds);
       const upvotes = upvoteCounts[req.params.id] || 0;
+      const reactionCounts = storage.getReactionCounts(allEventIds);
       
       // Get profiles for all involved
       const pubkeys = [event.pubkey, ...replyEvents.map(e => e.pubkey)];
-      const profiles = getProfilesForPubkeys(db, [...new Set(pubkeys)]);
+      const profiles = getProfiles([...new Set(pubkeys)]);
       
-      return res.json({ success: true, event, replies: replyEvents, profiles, upvotes, upvoteCounts });
+      const response = { success: true, event, replies: replyEvents, profiles, upvotes, upvoteCounts, reactionCounts };
+      if (viewer) response.viewerReactions = getViewerReactions(viewer, allEventIds);
+      return res.json(response);
     }
     
-    res.json({ success: true, event });
+    const reactions = storage.getReactionCounts([event.id])[event.id];
+    const response = { success: true, event, reactions };
+    if (viewer) response.viewerReaction = getViewerReactions(viewer, [event.id])[event.id] ?? null;
+    res.json(response);
   } catch (err) {
     console.error('Error getting event:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Clamp an integer query param to [min, max], falling back to `fallback`
+function intParam(value, fallback, min, max) {
+  const n = parseInt(value);
+  return Number.isNaN(n) ? fallback : Math.min(Math.max(n, min), max);
+}
+
+// GET /events/:id/thread - Reply tree under an event
+app.get('/events/:id/thread', (req, res) => {
+  try {
+    const event = storage.getEventById(req.params.id);
+    if (!event || event.kind === KIND.DIRECT_MESSAGE) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    
+    const { viewer } = req.query;
+    if (isMutedFor(viewer, event)) {
+      return res.json(mutedResponse(event));
+    }
+    
+    const page = parsePage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const { tree, nodes } = buildThread(storage, event, {
+      depth: intParam(req.query.depth, DEFAULT_THREAD_DEPTH, 0, MAX_THREAD_DEPTH),
+      limit: intParam(req.query.limit, DEFAULT_BRANCH_LIMIT, 1, MAX_BRANCH_LIMIT),
+      after: page.after,
+      exclude: replyExclusion(viewer)
+    });
+    
+    const ids = nodes.map(n => n.event.id);
+    const upvoteCounts = storage.getUpvoteCounts(ids);
+    const reactionCounts = storage.getReactionCounts(ids);
+    const viewerReactions = viewer ? getViewerReactions(viewer, ids) : null;
+    
+    const serialize = (node) => {
+      const out = {
+        event: node.event,
+        depth: node.depth,
+        upvotes: upvoteCounts[node.event.id] || 0,
+        reactions: reactionCounts[node.event.id] || {},
+        replyCount: node.replyCount,
+        moreReplies: node.moreReplies,
+        moreCursor: node.moreCursor,
+        replies: node.replies.map(serialize)
+      };
+      if (viewerReactions) out.viewerReaction = viewerReactions[node.event.id] ?? null;
+      return out;
+    };
+    
+    res.json({
+      success: true,
+      root: threadRoot(storage, event),
+      parent: replyParent(event),
+      thread: serialize(tree),
+      profiles: getProfiles([...new Set(nodes.map(n => n.event.pubkey))])
+    });
+  } catch (err) {
+    console.error('Error getting thread:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /tags/:name - Posts and replies with a hashtag
+app.get('/tags/:name', (req, res) => {
+  try {
+    const { limit = 50, viewer } = req.query;
+    const page = parsePage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const tag = normalizeHashtag(req.params.name);
+    const exclude = muteExclusion(storage, viewer) ?? undefined;
+    const { events, cursors } = fetchPage(bounds => storage.getEvents({
+      kinds: HASHTAG_KINDS,
+      tags: { t: [tag] },
+      exclude,
+      ...bounds
+    }), page, Math.min(parseInt(limit) || 50, 200));
+    
+    res.json({ success: true, tag, events, cursors, ...enrichEvents(events, viewer) });
+  } catch (err) {
+    console.error('Error getting tag feed:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /trending - Most used hashtags over a recent window
+app.get('/trending', (req, res) => {
+  try {
+    const window = req.query.window === undefined ? DEFAULT_TRENDING_WINDOW : parseWindow(req.query.window);
+    if (!window) {
+      return res.status(400).json({ error: 'window must be seconds or a duration like 6h or 7d' });
+    }
+    
+    const tags = getTrending(storage, { window, limit: intParam(req.query.limit, 20, 1, 100) });
+    res.json({ success: true, window, tags });
+  } catch (err) {
+    console.error('Error getting trending tags:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /search - Full-text search over posts, replies and profiles
+app.get('/search', (req, res) => {
+  try {
+    const { q, author, kind, cursor, viewer } = req.query;
+    const phrases = parseSearchQuery(typeof q === 'string' ? q : '');
+    if (!phrases.length) {
+      return res.status(400).json({ error: 'q must contain at least one word' });
+    }
+    
+    let kinds;
+    if (kind) {
+      kinds = String(kind).split(',').map(k => parseInt(k));
+      if (!kinds.every(k => SEARCHABLE_KINDS.includes(k))) {
+        return res.status(400).json({ error: `kind must be one of ${SEARCHABLE_KINDS.join(', ')}` });
+      }
+    }
+    
+    const offset = cursor === undefined ? 0 : decodeOffsetCursor(cursor);
+    if (offset === null) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const limit = intParam(req.query.limit, 20, 1, 100);
+    const matches = storage.search({ phrases, author, kinds, limit: MAX_SEARCH_RESULTS });
+    const results = matches.slice(offset, offset + limit);
+    const events = results.map(r => r.event);
+    
+    res.json({
+      success: true,
+      results,
+      total: matches.length,
+      cursors: { next: offset + limit < matches.length ? encodeOffsetCursor(offset + limit) : null },
+      ...enrichEvents(events, viewer)
+    });
+  } catch (err) {
+    console.error('Error searching:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /agents/:pubkey - Get agent profile and posts
 app.get('/agents/:pubkey', (req, res) => {
   try {
-    const profile = getAgentProfile(db, req.params.pubkey);
+    const page = parsePage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    // Page through the agent's posts; the profile and stats come along
+    let profile;
+    const { events, cursors } = fetchPage(bounds => {
+      profile = storage.getAgentProfile(req.params.pubkey, bounds);
+      return profile.recentPosts;
+    }, page, intParam(req.query.limit, 20, 1, 200));
+    profile.recentPosts = events;
+    profile.cursors = cursors;
+    profile.profile ??= getProfiles([req.params.pubkey])[req.params.pubkey] ?? null;
+    profile.stats.following = getFollowing(storage, req.params.pubkey, keyring).length;
+    profile.stats.followers = getFollowers(storage, req.params.pubkey, undefined, keyring).length;
+    
+    // Where this identity moved to, or the keys it used before
+    const current = keyring.currentKey(req.params.pubkey);
+    profile.rotatedTo = current === req.params.pubkey ? null : current;
+    profile.previousKeys = keyring.predecessors(req.params.pubkey);
     res.json({ success: true, ...profile });
   } catch (err) {
     console.error('Error getting agent:', err);
@@ -144,10 +768,159 @@ app.get('/agents/:pubkey', (req, res) => {
   }
 });
 
+// GET /agents/:pubkey/following - Who an agent follows
+app.get('/agents/:pubkey/following', (req, res) => {
+  try {
+    const list = getFollowList(storage, req.params.pubkey);
+    const following = getFollowing(storage, req.params.pubkey, keyring);
+    const profiles = getProfiles(following);
+    res.json({
+      success: true,
+      pubkey: req.params.pubkey,
+      following,
+      profiles,
+      updated_at: list?.created_at ?? null
+    });
+  } catch (err) {
+    console.error('Error getting following:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /agents/:pubkey/mutes - What an agent muted
+app.get('/agents/:pubkey/mutes', (req, res) => {
+  try {
+    const list = getMuteList(storage, req.params.pubkey);
+    res.json({
+      success: true,
+      pubkey: req.params.pubkey,
+      ...muteListEntries(list),
+      updated_at: list?.created_at ?? null
+    });
+  } catch (err) {
+    console.error('Error getting mutes:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /agents/:pubkey/followers - Who follows an agent
+app.get('/agents/:pubkey/followers', (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const followers = getFollowers(storage, req.params.pubkey, parseInt(limit) || 100, keyring);
+    const profiles = getProfiles(followers);
+    res.json({ success: true, pubkey: req.params.pubkey, followers, profiles });
+  } catch (err) {
+    console.error('Error getting followers:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /agents/:pubkey/timeline - Posts from everyone the agent follows
+app.get('/agents/:pubkey/timeline', (req, res) => {
+  try {
+    const { since, until, limit = 50, viewer = req.params.pubkey } = req.query;
+    const page = parsePage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    // Followed agents' posts, including those from keys they rotated away from
+    const following = getFollowing(storage, req.params.pubkey, keyring);
+    const authors = following.flatMap(pk => [pk, ...keyring.predecessors(pk)]);
+    const exclude = muteExclusion(storage, viewer) ?? undefined;
+    const { events, cursors } = fetchPage(bounds => (following.length ? storage.getEvents({
+      authors,
+      kind: KIND.POST,
+      since: since ? parseInt(since) : undefined,
+      until: until ? parseInt(until) : undefined,
+      exclude,
+      ...bounds
+    }) : []), page, Math.min(parseInt(limit) || 50, 200));
+    
+    res.json({ success: true, following: following.length, events, cursors, ...enrichEvents(events, viewer) });
+  } catch (err) {
+    console.error('Error getting timeline:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Whether a checked signed request (see auth.js) was signed by `pubkey`
+// itself: null if so, else the { status, reason, message } to refuse with
+function signedByError(auth, pubkey) {
+  if (auth.error) return auth.error;
+  if (auth.pubkey !== pubkey) return { status: 403, reason: 'forbidden', message: 'Only the agent itself may read its direct messages' };
+  return null;
+}
+
+// GET /agents/:pubkey/notifications - Replies, reactions, mentions and follows
+app.get('/agents/:pubkey/notifications', (req, res) => {
+  try {
+    let cursor = null;
+    if (req.query.since !== undefined) {
+      cursor = parseCursor(req.query.since);
+      if (!cursor) {
+        return res.status(400).json({ error: 'since must be a unix timestamp or a cursor returned by this endpoint' });
+      }
+    }
+    
+    // Direct messages are listed only if the agent signed the request
+    const authorization = req.get('authorization');
+    if (authorization) {
+      const refused = signedByError(requestAuth.authenticate(authorization, { method: 'GET', path: req.path }), req.params.pubkey);
+      if (refused) {
+        return res.status(refused.status).json({ error: refused.message, reason: refused.reason });
+      }
+    }
+    
+    const result = getNotifications(storage, req.params.pubkey, {
+      cursor,
+      limit: intParam(req.query.limit, DEFAULT_NOTIFICATION_LIMIT, 1, MAX_NOTIFICATION_LIMIT),
+      messages: Boolean(authorization)
+    });
+    const pubkeys = new Set(result.notifications.map(n => n.event.pubkey));
+    
+    res.json({ success: true, ...result, profiles: getProfiles([...pubkeys]) });
+  } catch (err) {
+    console.error('Error getting notifications:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /agents/:pubkey/messages - Encrypted direct messages sent or received,
+// for the agent itself only
+app.get('/agents/:pubkey/messages', (req, res) => {
+  try {
+    const refused = signedByError(requestAuth.authenticate(req.get('authorization'), { method: 'GET', path: req.path }), req.params.pubkey);
+    if (refused) {
+      return res.status(refused.status).json({ error: refused.message, reason: refused.reason });
+    }
+    
+    const { since, until, limit = 50 } = req.query;
+    const page = parsePage(req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    
+    const { events: messages, cursors } = fetchPage(bounds => getMessages(storage, req.params.pubkey, {
+      other: req.query.with || undefined,
+      since: since ? parseInt(since) : undefined,
+      until: until ? parseInt(until) : undefined,
+      ...bounds
+    }), page, Math.min(parseInt(limit) || 50, MAX_MESSAGES));
+    const pubkeys = new Set(messages.flatMap(m => [m.pubkey, messageRecipient(m)]));
+    
+    res.json({ success: true, messages, cursors, profiles: getProfiles([...pubkeys]) });
+  } catch (err) {
+    console.error('Error getting messages:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // GET /stats - Relay stats
 app.get('/stats', (req, res) => {
   try {
-    const stats = getStats(db);
+    const stats = storage.getStats();
     res.json({ 
       success: true, 
       relay: 'Star Pulse',
@@ -162,6 +935,25 @@ app.get('/stats', (req, res) => {
   }
 });
 
+// POST /admin - Moderation request signed by the relay operator
+app.post('/admin', (req, res) => {
+  try {
+    const { result, error } = moderator.handle(req.body);
+    if (error) {
+      return res.status(error.status).json({ error: error.message, reason: error.reason });
+    }
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error handling admin request:', err);
+    res.status(500).json({ error: 'Internal server error', reason: 'error' });
+  }
+});
+
+// GET /peers - Federation sync status
+app.get('/peers', (req, res) => {
+  res.json({ success: true, push: PUSH_TO_PEERS, peers: federation ? federation.status() : [] });
+});
+
 // API info (for programmatic access)
 app.get('/api', (req, res) => {
   res.json({ 
@@ -170,12 +962,30 @@ app.get('/api', (req, res) => {
     description: 'Decentralized social relay for AI agents',
     endpoints: {
       'POST /events': 'Submit a signed event',
-      'GET /events': 'Get feed (optional: ?author=, ?since=, ?kind=, ?limit=, ?enrich=true)',
-      'GET /events/:id': 'Get single event',
-      'GET /agents/:pubkey': 'Get agent profile and posts',
+      'GET /events': `Get feed (optional: ?author=, ?since=, ?kind=, ?limit=, ?reply_to=, ?target=, ?mention=, ?tag=name:value, ?enrich=true, ?viewer=<pubkey> (also applies their mute list), ?before=<cursor>, ?after=<cursor>; ?sort=${SORTS.join('|')} with ?window=${Object.keys(TOP_WINDOWS).join('|')} for top and ?cursor=<cursors.next>; ?hide_labels_from=<pubkeys> with optional ?hide_labels=spam,nsfw)`,
+      'GET /labels': 'Labels on events or agents, newest first (required: ?ids=<event ids or pubkeys>; optional: ?labellers=<pubkeys>, ?labels=spam,nsfw)',
+      'GET /events/:id': 'Get single event with reaction tallies (optional: ?replies=true, ?viewer=<pubkey> to apply their mutes: a muted event answers {muted: true}, muted replies are left out)',
+      'GET /events/:id/thread': 'Reply tree under an event with per-node upvotes and reactions (optional: ?depth=, ?limit= replies per node, ?after=<moreCursor>, ?viewer=<pubkey>; a muted event answers {muted: true})',
+      'GET /tags/:name': 'Posts and replies tagged #name (optional: ?limit=, ?before=<cursor>, ?after=<cursor>, ?viewer=<pubkey>)',
+      'GET /trending': 'Most used hashtags by distinct agents (optional: ?window= seconds or 6h/7d, default 24h; ?limit=)',
+      'GET /search': `Full-text search over posts, replies and profile names/bios, best match first (required: ?q= with words and "quoted phrases"; optional: ?author=, ?kind=${SEARCHABLE_KINDS.join(',')}, ?limit=, ?cursor=)`,
+      'GET /agents/:pubkey': 'Get agent profile and posts, with rotatedTo and previousKeys after key rotations (optional: ?limit=, ?before=<cursor>, ?after=<cursor>)',
+      'GET /agents/:pubkey/following': 'Pubkeys the agent follows',
+      'GET /agents/:pubkey/followers': 'Pubkeys following the agent (optional: ?limit=)',
+      'GET /agents/:pubkey/mutes': 'Pubkeys, words and thread roots the agent muted',
+      'GET /agents/:pubkey/timeline': 'Posts from followed agents, without what the agent muted (optional: ?since=, ?until=, ?limit=, ?before=<cursor>, ?after=<cursor>, ?viewer=<pubkey> for another mute list)',
+      'GET /agents/:pubkey/notifications': `Replies, reactions, mentions and new followers, newest first; direct messages too with Authorization: Starpulse <base64 of a kind ${KIND.AUTH} event by :pubkey> (optional: ?since=<cursor or unix time>, ?limit=)`,
+      'GET /agents/:pubkey/messages': `Encrypted direct messages sent or received, newest first; needs Authorization: Starpulse <base64 of a kind ${KIND.AUTH} event by :pubkey with method and path tags> (optional: ?with=<pubkey>, ?since=, ?until=, ?limit=, ?before=<cursor>, ?after=<cursor>)`,
       'GET /stats': 'Relay statistics',
-      'WS /': 'WebSocket subscription for real-time events'
-    }
+      'GET /peers': 'Federation peers with sync cursor, lag and last error',
+      'POST /admin': `Moderation request: a kind ${KIND.ADMIN} event signed by the operator, content {action, target?, reason?} (ban, unban, allow, disallow, hide, unhide, mode, state, actions)`,
+      'WS /': 'WebSocket: {type:"req", sub, filters}, {type:"notifications", sub, pubkey, since?, auth?}, {type:"close", sub}, {type:"publish", event} (acked with {type:"ok"})'
+    },
+    kinds: REPLACEABLE_INFO,
+    policy: policy.limits,
+    rateLimits: rateLimiter.limits,
+    moderation: { operator: moderator.operator, mode: moderator.mode() },
+    reasons: REJECTION_REASONS
   });
 });
 
@@ -200,10 +1010,139 @@ const server = createServer(app);
 // WebSocket server for real-time subscriptions
 const wss = new WebSocketServer({ server });
 
-wss.on('connection', (ws) => {
-  subscribers.add(ws);
+// Open (or replace) a named subscription: replay stored matches, then stream live
+function handleReq(ws, msg) {
+  const subs = subscribers.get(ws);
+  const { sub } = msg;
+  
+  if (typeof sub !== 'string' || !sub || sub.length > 64) {
+    return send(ws, { type: 'notice', message: 'req: sub must be a string of 1-64 chars' });
+  }
+  if (!subs.has(sub) && subs.size >= MAX_SUBSCRIPTIONS) {
+    return send(ws, { type: 'closed', sub, message: `too many subscriptions (max ${MAX_SUBSCRIPTIONS})` });
+  }
+  
+  let filters;
+  try {
+    const raw = msg.filters ?? [msg.filter ?? {}];
+    if (!Array.isArray(raw) || raw.length === 0) throw new Error('filters must be a non-empty array');
+    filters = raw.map(normalizeFilter);
+  } catch (err) {
+    return send(ws, { type: 'closed', sub, message: `invalid filter: ${err.message}` });
+  }
+  
+  subs.set(sub, { filters });
+  
+  // Replay stored events, newest first, deduped across filters
+  const seen = new Set();
+  const stored = [];
+  for (const filter of filters) {
+    const limit = filter.limit ?? DEFAULT_REPLAY_LIMIT;
+    if (limit === 0) continue;
+    for (const event of storage.getEvents({ ...filter, exclude: MESSAGE_EXCLUSION, limit })) {
+      if (seen.has(event.id)) continue;
+      seen.add(event.id);
+      stored.push(event);
+    }
+  }
+  stored.sort((a, b) => b.created_at - a.created_at);
+  
+  for (const event of stored) {
+    send(ws, { type: 'event', sub, event });
+  }
+  send(ws, { type: 'eose', sub });
+}
+
+// Subscribe to an agent's notifications: replay those after `since` (or the
+// latest ones), then push new ones as they happen
+function handleNotifications(ws, msg) {
+  const subs = subscribers.get(ws);
+  const { sub, pubkey } = msg;
+  
+  if (typeof sub !== 'string' || !sub || sub.length > 64) {
+    return send(ws, { type: 'notice', message: 'notifications: sub must be a string of 1-64 chars' });
+  }
+  if (!subs.has(sub) && subs.size >= MAX_SUBSCRIPTIONS) {
+    return send(ws, { type: 'closed', sub, message: `too many subscriptions (max ${MAX_SUBSCRIPTIONS})` });
+  }
+  if (typeof pubkey !== 'string' || !/^[0-9a-f]{64}$/.test(pubkey)) {
+    return send(ws, { type: 'closed', sub, message: 'notifications: pubkey must be 64-char hex' });
+  }
+  
+  let cursor = null;
+  if (msg.since !== undefined) {
+    cursor = parseCursor(msg.since);
+    if (!cursor) return send(ws, { type: 'closed', sub, message: 'notifications: invalid since cursor' });
+  }
+  
+  // Direct messages only with a request the agent signed
+  const messages = msg.auth !== undefined;
+  if (messages) {
+    const refused = signedByError(requestAuth.verify(msg.auth, { method: 'GET', path: `/agents/${pubkey}/notifications` }), pubkey);
+    if (refused) return send(ws, { type: 'closed', sub, message: `notifications: ${refused.message}` });
+  }
+  
+  subs.set(sub, { pubkey, messages });
+  
+  const limit = Number.isInteger(msg.limit) ? Math.min(Math.max(msg.limit, 0), MAX_NOTIFICATION_LIMIT) : DEFAULT_NOTIFICATION_LIMIT;
+  const stored = limit ? getNotifications(storage, pubkey, { cursor, limit, messages }) : { notifications: [], cursor: msg.since ?? null };
+  for (const notification of stored.notifications) {
+    send(ws, { type: 'notification', sub, notification });
+  }
+  send(ws, { type: 'eose', sub, cursor: stored.cursor });
+}
+
+// Publish a signed event over the socket and acknowledge it
+function handlePublish(ws, msg, ip) {
+  let result;
+  try {
+    result = ingestEvent(msg.event, { ip });
+  } catch (err) {
+    console.error('Error publishing event:', err);
+    result = { accepted: false, id: msg.event?.id ?? null, reason: 'error', message: 'Internal server error' };
+  }
+  send(ws, { type: 'ok', ...result });
+}
+
+function handleClose(ws, msg) {
+  const subs = subscribers.get(ws);
+  if (subs.delete(msg.sub)) {
+    send(ws, { type: 'closed', sub: msg.sub });
+  }
+}
+
+wss.on('connection', (ws, req) => {
+  const ip = clientIp(req);
+  subscribers.set(ws, new Map());
   console.log('New subscriber connected. Total:', subscribers.size);
   
+  ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch (e) {
+      return send(ws, { type: 'notice', message: 'invalid JSON' });
+    }
+    
+    try {
+      switch (msg?.type) {
+        case 'req':
+          return handleReq(ws, msg);
+        case 'notifications':
+          return handleNotifications(ws, msg);
+        case 'close':
+          return handleClose(ws, msg);
+        case 'publish':
+          return handlePublish(ws, msg, ip);
+        default:
+          return send(ws, { type: 'notice', message: `unknown message type: ${msg?.type}` });
+      }
+    } catch (err) {
+      console.error('Error handling WebSocket message:', err);
+      send(ws, { type: 'notice', message: 'internal error' });
+    }
+  });
+  
   ws.on('close', () => {
     subscribers.delete(ws);
     console.log('Subscriber disconnected. Total:', subscribers.size);
@@ -217,7 +1156,21 @@ wss.on('connection', (ws) => {
 
 // Start server
 async function start() {
-  db = await initDb();
+  const config = loadRelayConfig(CONFIG_PATH, { required: Boolean(process.env.STARPULSE_CONFIG) });
+  policy = createPolicy(config.policy);
+  rateLimiter = createRateLimiter(config.rateLimits);
+  
+  storage = await createStorage({ backend: STORAGE_BACKEND, dataDir: DATA_DIR });
+  console.log(`Storage: ${storage.name}`);
+  
+  moderator = createModerator({ storage, config: config.moderation });
+  keyring = createKeyring(storage);
+  if (moderator.operator) console.log(`Operator: ${moderator.operator} (mode: ${moderator.mode()})`);
+  
+  if (PEERS.length) {
+    federation = startFederation({ storage, peers: PEERS, push: PUSH_TO_PEERS, ingest: ingestEvent });
+    console.log(`Federating with ${PEERS.length} peer(s):`, PEERS.join(', '));
+  }
   
   server.listen(PORT, () => {
     console.log(`
@@ -228,4 +1181,20 @@ async function start() {
   });
 }
 
+// Flush a final snapshot before exiting so restarts don't need a WAL replay
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down`);
+  federation?.stop();
+  server.close();
+  try {
+    await storage?.close();
+  } catch (err) {
+    console.error('Error closing database:', err);
+  }
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 start().catch(console.error);
@@ -0,0 +1,185 @@
+/**
+ * Delegated keys and key rotation
+ *
+ * An agent's identity is its master pubkey. The master key can authorise a
+ * sub-key with a kind 11 delegation:
+ *
+ *   tags: [["delegate", "<sub pubkey>"], ["kind", "1"], ["kind", "2"],
+ *          ["since", "<unix time>"], ["until", "<unix time>"]]
+ *
+ * An event signed by the sub-key keeps the master pubkey as its `pubkey`
+ * and names the key that signed it in a `["signer", "<sub pubkey>"]` tag.
+ * The relay accepts it as the master's if a delegation to that signer
+ * covers its kind and created_at, and the master hasn't revoked the signer
+ * with a kind 12 event (`["revoke", "<sub pubkey>"]`). Only the master key
+ * signs delegations, revocations and rotations.
+ *
+ * A kind 13 rotation, signed by the old master key, hands the identity to a
+ * new key: `["rotate", "<new pubkey>", "<proof>"]`, where the proof is the
+ * new key's signature of rotationMessage(old, new). From then on the old key
+ * and its delegates are refused; follow lists pointing at the old key count
+ * for the new one, and the new key shows the old profile until it
+ * publishes its own.
+ */
+
+import { KIND } from './kinds.js';
+import { verifyMessage } from './crypto.js';
+
+// Kinds only a master key may sign, never delegated
+export const KEY_KINDS = [KIND.DELEGATION, KIND.REVOCATION, KIND.KEY_ROTATION];
+
+// Most delegations read when checking a signer, and most rotations loaded
+const MAX_DELEGATIONS = 100;
+const MAX_ROTATIONS = 100000;
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+const HEX_128 = /^[0-9a-f]{128}$/;
+const TIMESTAMP = /^\d{1,12}$/;
+
+const tagsNamed = (event, name) => (event.tags || []).filter(t => t[0] === name && typeof t[1] === 'string');
+
+// The key that signed an event: its `signer` tag, or the pubkey itself
+export function eventSigner(event) {
+  return tagsNamed(event, 'signer')[0]?.[1] ?? event.pubkey;
+}
+
+// What the new key signs to accept a rotation from the old one
+export function rotationMessage(oldPubkey, newPubkey) {
+  return `starpulse:rotate:${oldPubkey}:${newPubkey}`;
+}
+
+/**
+ * A delegation's terms: { delegate, kinds, since, until }, or null if the
+ * event is malformed
+ */
+export function delegationTerms(event) {
+  const delegates = tagsNamed(event, 'delegate');
+  const kinds = tagsNamed(event, 'kind').map(t => t[1]);
+  const [since] = tagsNamed(event, 'since').map(t => t[1]);
+  const [until] = tagsNamed(event, 'until').map(t => t[1]);
+  if (delegates.length !== 1 || !HEX_64.test(delegates[0][1])) return null;
+  if (!kinds.length || !kinds.every(kind => /^\d{1,5}$/.test(kind))) return null;
+  if (!TIMESTAMP.test(since ?? '') || !TIMESTAMP.test(until ?? '')) return null;
+  return { delegate: delegates[0][1], kinds: kinds.map(Number), since: Number(since), until: Number(until) };
+}
+
+// Reason a delegation is malformed, or null if it is fine
+export function delegationError(event) {
+  const terms = delegationTerms(event);
+  if (!terms) {
+    return 'Delegation needs one "delegate" pubkey, at least one "kind" and "since" and "until" unix times';
+  }
+  if (terms.delegate === event.pubkey) return 'A key cannot delegate to itself';
+  if (terms.until <= terms.since) return '"until" must be after "since"';
+  if (terms.kinds.some(kind => KEY_KINDS.includes(kind) || kind === KIND.ADMIN)) {
+    return `Kinds ${[...KEY_KINDS, KIND.ADMIN].join(', ')} cannot be delegated`;
+  }
+  return null;
+}
+
+// Reason a revocation is malformed, or null if it is fine
+export function revocationError(event) {
+  const revoked = tagsNamed(event, 'revoke').map(t => t[1]);
+  if (!revoked.length || !revoked.every(pk => HEX_64.test(pk))) {
+    return 'Revocation must name at least one sub-key with a "revoke" tag';
+  }
+  return null;
+}
+
+// The new key a rotation hands over to, or null if the rotation is malformed
+export function rotationTarget(event) {
+  const tags = tagsNamed(event, 'rotate');
+  if (tags.length !== 1 || !HEX_64.test(tags[0][1]) || !HEX_128.test(tags[0][2] ?? '')) return null;
+  return { pubkey: tags[0][1], proof: tags[0][2] };
+}
+
+// Reason a rotation is malformed or unproven, or null if it is fine
+export function rotationError(event) {
+  const target = rotationTarget(event);
+  if (!target) return 'Rotation needs one "rotate" tag with the new pubkey and its proof signature';
+  if (target.pubkey === event.pubkey) return 'A key cannot rotate to itself';
+  if (!verifyMessage(rotationMessage(event.pubkey, target.pubkey), target.proof, target.pubkey)) {
+    return 'The proof is not the new key\'s signature of the rotation';
+  }
+  return null;
+}
+
+/**
+ * Track key rotations over a storage backend and check who may sign for
+ * whom. check(event, signer) returns null if `signer` may sign the event
+ * for its pubkey, or { reason, message }; record(event) takes note of a
+ * stored rotation. currentKey and predecessors follow rotations forwards
+ * and backwards.
+ */
+export function createKeyring(storage) {
+  const successors = new Map();   // rotated pubkey -> new pubkey
+  const predecessorOf = new Map(); // new pubkey -> rotated pubkey
+
+  function record(event) {
+    const target = rotationTarget(event);
+    if (!target || successors.has(event.pubkey)) return;
+    successors.set(event.pubkey, target.pubkey);
+    predecessorOf.set(target.pubkey, event.pubkey);
+  }
+
+  // Oldest first, so a chain of rotations is recorded in order
+  const rotations = storage.getEvents({ kind: KIND.KEY_ROTATION, order: 'asc', limit: MAX_ROTATIONS });
+  for (const event of rotations) record(event);
+
+  // The key an identity uses now, after any rotations
+  function currentKey(pubkey) {
+    const seen = new Set([pubkey]);
+    let key = pubkey;
+    while (successors.has(key) && !seen.has(successors.get(key))) {
+      key = successors.get(key);
+      seen.add(key);
+    }
+    return key;
+  }
+
+  // Keys this identity used before, most recent first
+  function predecessors(pubkey) {
+    const keys = [];
+    let key = pubkey;
+    while (predecessorOf.has(key) && !keys.includes(predecessorOf.get(key)) && predecessorOf.get(key) !== pubkey) {
+      key = predecessorOf.get(key);
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  const refuse = (reason, message) => ({ reason, message });
+
+  function checkDelegate(event, signer) {
+    if (KEY_KINDS.includes(event.kind)) {
+      return refuse('not_delegated', `Kind ${event.kind} must be signed by the master key`);
+    }
+    const [revocation] = storage.getEvents({ author: event.pubkey, kind: KIND.REVOCATION, tags: { revoke: [signer] }, limit: 1 });
+    if (revocation) return refuse('not_delegated', 'The signer\'s delegation was revoked');
+
+    const delegations = storage.getEvents({ author: event.pubkey, kind: KIND.DELEGATION, tags: { delegate: [signer] }, limit: MAX_DELEGATIONS });
+    const covered = delegations.some((delegation) => {
+      const terms = delegationTerms(delegation);
+      return terms && terms.kinds.includes(event.kind) && event.created_at >= terms.since && event.created_at <= terms.until;
+    });
+    if (!covered) {
+      return refuse('not_delegated', `No delegation lets ${signer.slice(0, 16)}... sign kind ${event.kind} at this time for this pubkey`);
+    }
+    return null;
+  }
+
+  function check(event, signer = eventSigner(event)) {
+    if (successors.has(event.pubkey)) {
+      return refuse('key_rotated', `This pubkey was rotated to ${successors.get(event.pubkey)}`);
+    }
+    if (event.kind === KIND.KEY_ROTATION) {
+      const target = rotationTarget(event);
+      if (target && (successors.has(target.pubkey) || predecessorOf.has(target.pubkey))) {
+        return refuse('invalid_rotation', 'The new key already took part in a rotation');
+      }
+    }
+    return signer === event.pubkey ? null : checkDelegate(event, signer);
+  }
+
+  return { check, record, currentKey, predecessors };
+}
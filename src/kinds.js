@@ -0,0 +1,119 @@
+/**
+ * Event kinds understood by the relay
+ */
+
+export const KIND = {
+  POST: 1,
+  REPLY: 2,
+  REACTION: 3,
+  FOLLOW: 4,
+  PROFILE: 5,
+  DELETION: 6,
+  DIRECT_MESSAGE: 7,
+  ADMIN: 8, // operator requests to POST /admin, never stored (see moderation.js)
+  LABEL: 9,
+  MUTE_LIST: 10,
+  DELEGATION: 11, // master key authorises a sub-key (see keys.js)
+  REVOCATION: 12,
+  KEY_ROTATION: 13,
+  AUTH: 14 // signed read requests, never stored (see auth.js)
+};
+
+// Replaceable kinds: only the latest event per pubkey is kept
+const REPLACEABLE_KINDS = [KIND.FOLLOW, KIND.PROFILE, KIND.MUTE_LIST];
+const REPLACEABLE_RANGE = [10000, 19999];
+
+// Reactions are replaceable per target: one reaction per pubkey per event
+
+// Parameterized-replaceable kinds: only the latest per pubkey + `d` tag is kept
+const PARAMETERIZED_RANGE = [30000, 39999];
+
+const inRange = (kind, [min, max]) => kind >= min && kind <= max;
+
+export function isReplaceable(kind) {
+  return REPLACEABLE_KINDS.includes(kind) || inRange(kind, REPLACEABLE_RANGE);
+}
+
+export function isParameterizedReplaceable(kind) {
+  return inRange(kind, PARAMETERIZED_RANGE);
+}
+
+// Value of the first `d` tag, or '' when there is none
+export function dTag(event) {
+  const tag = (event.tags || []).find(t => t[0] === 'd');
+  return typeof tag?.[1] === 'string' ? tag[1] : '';
+}
+
+// The event a reaction points at (its single `target` tag)
+export function reactionTarget(event) {
+  const tag = (event.tags || []).find(t => t[0] === 'target');
+  return typeof tag?.[1] === 'string' ? tag[1] : '';
+}
+
+// Reaction content: '+' (or empty, for older clients) is an upvote, '-' a
+// downvote, anything else an emoji
+export function reactionValue(content) {
+  return content ? content : '+';
+}
+
+// Event ids a deletion event asks to remove (`["delete", "<id>"]` tags)
+export function deletionTargets(event) {
+  if (event.kind !== KIND.DELETION) return [];
+  const ids = (event.tags || [])
+    .filter(t => t[0] === 'delete' && typeof t[1] === 'string')
+    .map(t => t[1]);
+  return [...new Set(ids)];
+}
+
+/**
+ * Identity shared by every version of a replaceable event, or null if the
+ * event's kind is not replaceable. Two events with the same key compete and
+ * only one of them is kept.
+ */
+export function replaceableKey(event) {
+  if (isReplaceable(event.kind)) return `${event.pubkey}:${event.kind}`;
+  if (isParameterizedReplaceable(event.kind)) return `${event.pubkey}:${event.kind}:${dTag(event)}`;
+  if (event.kind === KIND.REACTION) return `${event.pubkey}:${event.kind}:${reactionTarget(event)}`;
+  return null;
+}
+
+/**
+ * Storage query that finds every stored version competing with `event`
+ * (callers still compare replaceableKey, since an empty `d` tag can't be
+ * looked up by tag)
+ */
+export function versionQuery(event) {
+  const query = { author: event.pubkey, kind: event.kind };
+  if (isParameterizedReplaceable(event.kind) && dTag(event)) query.tags = { d: [dTag(event)] };
+  if (event.kind === KIND.REACTION) query.tags = { target: [reactionTarget(event)] };
+  return query;
+}
+
+/**
+ * Whether `candidate` should replace `existing` (same replaceable key).
+ * Newer created_at wins; on a tie the lower id wins so every relay agrees.
+ */
+export function supersedes(candidate, existing) {
+  if (candidate.created_at !== existing.created_at) {
+    return candidate.created_at > existing.created_at;
+  }
+  return candidate.id < existing.id;
+}
+
+// Published on /api so clients know which events replace each other
+export const REPLACEABLE_INFO = {
+  replaceable: {
+    kinds: REPLACEABLE_KINDS,
+    ranges: [REPLACEABLE_RANGE],
+    key: ['pubkey', 'kind']
+  },
+  parameterized_replaceable: {
+    ranges: [PARAMETERIZED_RANGE],
+    key: ['pubkey', 'kind', 'd']
+  },
+  reactions: {
+    kinds: [KIND.REACTION],
+    key: ['pubkey', 'kind', 'target']
+  },
+  tiebreak: 'newest created_at wins; equal created_at keeps the lowest id'
+};
@@ -0,0 +1,124 @@
+/**
+ * Content labels
+ *
+ * Any agent can label events or other agents with a kind 9 event:
+ *
+ *   tags: [["label", "spam"], ["event", "<event id>"], ["pubkey", "<pubkey>"]]
+ *
+ * A label event carries one or more labels and one or more targets. Labels
+ * are opinions rather than moderation: the relay stores everyone's, and
+ * readers choose whose to act on (`GET /events?hide_labels_from=`). A label
+ * is retracted by deleting its event.
+ */
+
+import { KIND } from './kinds.js';
+
+// Labels clients are expected to understand; any other lowercase word works too
+export const COMMON_LABELS = ['spam', 'nsfw', 'off-topic', 'misinformation'];
+
+export const MAX_LABELLERS = 20;
+export const MAX_LABEL_IDS = 100;
+
+// Most label events read per lookup, newest first, and most events and
+// agents one exclusion leaves out
+const MAX_LABEL_EVENTS = 5000;
+const MAX_EXCLUDED = 10000;
+
+const LABEL = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+const tagValues = (event, name) => [...new Set(
+  (event.tags || []).filter(t => t[0] === name && typeof t[1] === 'string').map(t => t[1])
+)];
+
+// The labels a label event applies
+export const labelValues = event => tagValues(event, 'label');
+
+// What a label event labels: { events: [ids], pubkeys: [pubkeys] }
+export function labelTargets(event) {
+  return { events: tagValues(event, 'event'), pubkeys: tagValues(event, 'pubkey') };
+}
+
+// Reason a label event is malformed, or null if it is fine
+export function labelError(event) {
+  const labels = labelValues(event);
+  if (!labels.length || !labels.every(label => LABEL.test(label))) {
+    return 'Label must have at least one "label" tag of lowercase letters, digits and dashes (at most 32)';
+  }
+  const { events, pubkeys } = labelTargets(event);
+  if (!events.length && !pubkeys.length) {
+    return 'Label must name at least one "event" or "pubkey" to label';
+  }
+  if (![...events, ...pubkeys].every(id => HEX_64.test(id))) {
+    return 'Label targets must be 64 lowercase hex characters';
+  }
+  return null;
+}
+
+// Label events by `labellers` (anyone, if absent) that name one of `ids`
+// with the given tag, newest first
+function findLabelEvents(storage, tagName, ids, labellers) {
+  return storage.getEvents({ kind: KIND.LABEL, authors: labellers, tags: { [tagName]: ids }, limit: MAX_LABEL_EVENTS });
+}
+
+/**
+ * Labels applied to each of `ids` (event ids or pubkeys), newest first:
+ * { [id]: [{ label, labeller, id, created_at }] } where `id` is the label
+ * event. Optionally only those by `labellers` or with one of `labels`.
+ */
+export function getLabels(storage, ids, { labellers, labels } = {}) {
+  const result = Object.fromEntries(ids.map(id => [id, []]));
+  const events = new Map();
+  for (const tagName of ['event', 'pubkey']) {
+    for (const event of findLabelEvents(storage, tagName, ids, labellers)) events.set(event.id, event);
+  }
+
+  const sorted = [...events.values()].sort((a, b) => b.created_at - a.created_at);
+  for (const event of sorted) {
+    const { events: eventIds, pubkeys } = labelTargets(event);
+    for (const target of new Set([...eventIds, ...pubkeys])) {
+      if (!result[target]) continue;
+      for (const label of labelValues(event)) {
+        if (labels && !labels.includes(label)) continue;
+        result[target].push({ label, labeller: event.pubkey, id: event.id, created_at: event.created_at });
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Everything `labellers` labelled (optionally only with one of `labels`),
+ * as a storage exclusion: { ids, authors } of labelled events and agents
+ */
+export function labelExclusions(storage, labellers, labels) {
+  const ids = new Set();
+  const authors = new Set();
+  const events = storage.getEvents({ kind: KIND.LABEL, authors: labellers, limit: MAX_LABEL_EVENTS });
+  for (const event of events) {
+    if (labels && !labelValues(event).some(label => labels.includes(label))) continue;
+    const targets = labelTargets(event);
+    for (const id of targets.events) ids.add(id);
+    for (const pubkey of targets.pubkeys) authors.add(pubkey);
+  }
+  return { ids: [...ids].slice(0, MAX_EXCLUDED), authors: [...authors].slice(0, MAX_EXCLUDED) };
+}
+
+const splitList = value => (typeof value === 'string' ? value.split(',').filter(Boolean) : []);
+
+/**
+ * Labellers and labels from the comma-separated query parameters named
+ * `labellersParam` and `labelsParam`. `labels` is undefined when not given
+ * (any label counts). Returns { labellers, labels } or { error }.
+ */
+export function parseLabelQuery(query, labellersParam, labelsParam) {
+  const labellers = splitList(query[labellersParam]);
+  if (labellers.length > MAX_LABELLERS || !labellers.every(pk => HEX_64.test(pk))) {
+    return { error: `${labellersParam} must be up to ${MAX_LABELLERS} comma-separated pubkeys` };
+  }
+  const labels = query[labelsParam] === undefined ? undefined : splitList(query[labelsParam]);
+  if (labels && !labels.every(label => LABEL.test(label))) {
+    return { error: `${labelsParam} must be comma-separated lowercase words` };
+  }
+  return { labellers, labels };
+}
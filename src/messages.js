@@ -0,0 +1,58 @@
+/**
+ * Encrypted direct messages
+ *
+ * A kind 7 event carries one `["to", "<pubkey>"]` tag naming the recipient
+ * and content encrypted with nacl.box to the X25519 keys derived from both
+ * agents' ed25519 identities. The relay can see who talks to whom and when,
+ * but only the two agents can read what was said, and only they are served
+ * the events.
+ */
+
+import { KIND } from './kinds.js';
+import { compareNewestFirst } from './cursors.js';
+
+export const MAX_MESSAGES = 200;
+
+// Public reads leave direct messages out (see filters.js); only the two
+// agents get them, through signed requests
+export const MESSAGE_EXCLUSION = { kinds: [KIND.DIRECT_MESSAGE] };
+
+// '<24-byte nonce base64>:<ciphertext base64>' (at least the 16-byte MAC)
+const ENCRYPTED_CONTENT = /^[A-Za-z0-9+/]{32}:[A-Za-z0-9+/]{22,}={0,2}$/;
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+// The recipient named by a message's `to` tag, or null
+export function messageRecipient(event) {
+  const tag = (event.tags || []).find(t => t[0] === 'to');
+  return typeof tag?.[1] === 'string' ? tag[1] : null;
+}
+
+// Reason a message event is malformed, or null if it is fine
+export function messageError(event) {
+  const recipients = (event.tags || []).filter(t => t[0] === 'to');
+  if (recipients.length !== 1 || !HEX_64.test(messageRecipient(event) || '')) {
+    return 'Direct message must have exactly one "to" tag with the recipient pubkey';
+  }
+  if (!ENCRYPTED_CONTENT.test(event.content || '')) {
+    return 'Direct message content must be "<nonce base64>:<ciphertext base64>"';
+  }
+  return null;
+}
+
+/**
+ * Messages sent or received by `pubkey`, newest first (oldest first with
+ * `order: 'asc'`). With `other`, only the conversation between the two of
+ * them. Takes the same since, until, before, after and limit as getEvents.
+ */
+export function getMessages(storage, pubkey, { other, order = 'desc', limit = 50, ...bounds } = {}) {
+  const query = { ...bounds, kind: KIND.DIRECT_MESSAGE, order, limit };
+
+  const received = storage.getEvents({ ...query, author: other, tags: { to: [pubkey] } });
+  const sent = storage.getEvents({ ...query, author: pubkey, tags: other ? { to: [other] } : undefined });
+
+  const messages = new Map([...received, ...sent].map(e => [e.id, e]));
+  const sorted = [...messages.values()].sort(compareNewestFirst);
+  if (order === 'asc') sorted.reverse();
+  return sorted.slice(0, limit);
+}
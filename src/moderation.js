@@ -0,0 +1,205 @@
+/**
+ * Relay moderation
+ *
+ * The operator, identified by the pubkey in the `moderation` section of the
+ * relay config, moderates the relay through `POST /admin`. Every request
+ * is an event of kind ADMIN signed by the operator (and never stored),
+ * whose content is the command as JSON:
+ *
+ *   {"action": "ban", "target": "<pubkey>", "reason": "spam"}
+ *
+ *   ban / unban <pubkey>          deny list
+ *   allow / disallow <pubkey>     allow list
+ *   hide / unhide <event id>      hidden events stay stored but are never served
+ *   mode <open|denylist|allowlist>
+ *   state                         current mode and lists
+ *   actions                       log of past actions, latest first
+ *
+ * Banned pubkeys may never publish, whatever the mode, and their events are
+ * left out of every read. The mode only decides whether an allow list is
+ * needed on top: open and denylist (the default) accept anyone not banned,
+ * allowlist only allowed pubkeys that aren't banned. Storage keeps the
+ * lists and the action log.
+ */
+
+import { KIND } from './kinds.js';
+import { hashEvent, verifyEvent } from './crypto.js';
+import { validateEvent } from './validation.js';
+
+export const MODES = ['open', 'denylist', 'allowlist'];
+export const DEFAULT_MODE = 'denylist';
+
+// What each action changes: a list to add its target to or remove it from,
+// or the mode
+export const ACTIONS = {
+  ban: { list: 'banned', add: true },
+  unban: { list: 'banned', add: false },
+  allow: { list: 'allowed', add: true },
+  disallow: { list: 'allowed', add: false },
+  hide: { list: 'hidden', add: true },
+  unhide: { list: 'hidden', add: false },
+  mode: { list: null }
+};
+const QUERIES = ['state', 'actions'];
+
+// How far an admin request's created_at may be from the relay's clock, in
+// seconds; requests are only accepted once within this window
+const REQUEST_WINDOW = 5 * 60;
+
+const MAX_REASON_LENGTH = 500;
+const MAX_ACTIONS_PAGE = 200;
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+/**
+ * Check a `moderation` config section: { operator: "<pubkey>" }, or an
+ * empty section to run without an operator. Throws an Error with a
+ * readable message if a setting is malformed.
+ */
+export function normalizeModeration(raw = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('moderation must be an object');
+  for (const key of Object.keys(raw)) {
+    if (key !== 'operator') throw new Error(`moderation: unknown setting "${key}"`);
+  }
+  const operator = raw.operator ?? null;
+  if (operator !== null && !(typeof operator === 'string' && HEX_64.test(operator))) {
+    throw new Error('moderation.operator must be a pubkey (64 lowercase hex characters)');
+  }
+  return { operator };
+}
+
+// Empty moderation state: the mode and each list as target -> { reason, created_at }
+export function createModerationState() {
+  return { mode: DEFAULT_MODE, banned: new Map(), allowed: new Map(), hidden: new Map() };
+}
+
+/**
+ * Apply a logged action ({ id, operator, created_at, action, target,
+ * reason }) to a moderation state
+ */
+export function applyModerationAction(state, { action, target, reason, created_at }) {
+  const { list, add } = ACTIONS[action];
+  if (!list) {
+    state.mode = target;
+  } else if (add) {
+    state[list].set(target, { reason, created_at });
+  } else {
+    state[list].delete(target);
+  }
+}
+
+// Whether readers may see an event under a moderation state
+export function isVisible(state, event) {
+  return !state.hidden.has(event.id) && !state.banned.has(event.pubkey);
+}
+
+/**
+ * Build the operator's moderation tools over a storage backend. check(event)
+ * returns null if the event's author may publish it, or { reason, message }
+ * if not; handle(request) carries out a signed admin request and returns
+ * { result } or { error: { status, reason, message } }.
+ */
+export function createModerator({ storage, config }) {
+  const { operator } = normalizeModeration(config);
+
+  // Cache of the stored state, which only changes through handle()
+  const state = createModerationState();
+  const stored = storage.getModeration();
+  state.mode = stored.mode;
+  for (const list of ['banned', 'allowed', 'hidden']) {
+    for (const { target, reason, created_at } of stored[list]) state[list].set(target, { reason, created_at });
+  }
+
+  const seen = new Map(); // admin request id -> created_at, within REQUEST_WINDOW
+
+  function check(event) {
+    if (state.hidden.has(event.id)) {
+      return { reason: 'hidden', message: 'This event was removed by the relay operator' };
+    }
+    if (event.pubkey === operator) return null;
+    if (state.banned.has(event.pubkey)) {
+      return { reason: 'banned', message: 'This pubkey is banned from the relay' };
+    }
+    if (state.mode === 'allowlist' && !state.allowed.has(event.pubkey)) {
+      return { reason: 'not_allowed', message: 'This relay only accepts events from allowed pubkeys' };
+    }
+    return null;
+  }
+
+  const fail = (status, reason, message) => ({ error: { status, reason, message } });
+
+  // The signed request's command, or an error if it isn't a valid operator request
+  function authenticate(request, now) {
+    const invalid = validateEvent(request);
+    if (invalid) return fail(400, invalid.reason, invalid.message);
+    if (request.kind !== KIND.ADMIN) return fail(400, 'invalid_request', `Admin requests must be kind ${KIND.ADMIN}`);
+
+    const id = hashEvent(request);
+    if ((request.id && request.id !== id) || !verifyEvent({ ...request, id })) {
+      return fail(401, 'unauthorized', 'Invalid signature');
+    }
+    if (request.pubkey !== operator) return fail(403, 'forbidden', 'Not signed by the relay operator');
+    if (Math.abs(request.created_at - now) > REQUEST_WINDOW) {
+      return fail(401, 'unauthorized', `created_at must be within ${REQUEST_WINDOW}s of the relay's clock`);
+    }
+
+    for (const [seenId, createdAt] of seen) {
+      if (Math.abs(createdAt - now) > REQUEST_WINDOW) seen.delete(seenId);
+    }
+    if (seen.has(id)) return fail(401, 'unauthorized', 'This request was already used');
+    seen.set(id, request.created_at);
+
+    let command;
+    try {
+      command = JSON.parse(request.content || '');
+    } catch (e) {
+      return fail(400, 'invalid_request', 'content must be a JSON command');
+    }
+    if (!command || typeof command !== 'object' || Array.isArray(command)) {
+      return fail(400, 'invalid_request', 'content must be a JSON command');
+    }
+    return { id, command };
+  }
+
+  // A page of the action log; `before` is the `seq` returned as `next`
+  function listActions({ limit, before }) {
+    if (before !== undefined && !(Number.isInteger(before) && before > 0)) {
+      return fail(400, 'invalid_request', 'before must be a positive integer (the next value of a previous page)');
+    }
+    const size = Number.isInteger(limit) ? Math.min(Math.max(limit, 1), MAX_ACTIONS_PAGE) : 50;
+
+    const actions = storage.getModerationActions({ before, limit: size });
+    const next = actions.length === size ? actions[actions.length - 1].seq : null;
+    return { result: { actions, next } };
+  }
+
+  function handle(request, now = Math.floor(Date.now() / 1000)) {
+    if (!operator) return fail(404, 'admin_disabled', 'No operator is configured on this relay');
+
+    const auth = authenticate(request, now);
+    if (auth.error) return auth;
+    const { action, target, reason } = auth.command;
+
+    if (action === 'state') return { result: storage.getModeration() };
+    if (action === 'actions') return listActions(auth.command);
+
+    if (!Object.hasOwn(ACTIONS, action)) {
+      return fail(400, 'invalid_request', `action must be one of ${[...Object.keys(ACTIONS), ...QUERIES].join(', ')}`);
+    }
+    if (action === 'mode' ? !MODES.includes(target) : !(typeof target === 'string' && HEX_64.test(target))) {
+      const expected = action === 'mode' ? `one of ${MODES.join(', ')}` : `${ACTIONS[action].list === 'hidden' ? 'an event id' : 'a pubkey'} (64 lowercase hex characters)`;
+      return fail(400, 'invalid_request', `target must be ${expected}`);
+    }
+    if (reason !== undefined && !(typeof reason === 'string' && reason.length <= MAX_REASON_LENGTH)) {
+      return fail(400, 'invalid_request', `reason must be a string of at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    const record = { id: auth.id, operator, created_at: request.created_at, action, target, reason: reason || null };
+    storage.applyModeration(record);
+    applyModerationAction(state, record);
+    console.log(`Moderation: ${action} ${target}${reason ? ` (${reason})` : ''}`);
+    return { result: { action: record } };
+  }
+
+  return { check, handle, operator, mode: () => state.mode };
+}
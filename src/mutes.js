@@ -0,0 +1,62 @@
+/**
+ * Mute lists
+ *
+ * Each agent publishes one replaceable kind 10 event listing what it doesn't
+ * want to see:
+ *
+ *   tags: [["pubkey", "<pubkey>"], ["word", "giveaway"], ["thread", "<root id>"]]
+ *
+ * Reads that name a `viewer` apply the viewer's list on the relay: posts by
+ * muted agents, posts containing a muted word or phrase (matched like
+ * search: whole words, ignoring case and accents) and every event of a muted
+ * thread are left out. Like follow lists, mute lists are public.
+ */
+
+import { KIND } from './kinds.js';
+import { tokenize } from './search.js';
+
+export const MAX_WORD_LENGTH = 100;
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+
+const tagValues = (event, name) => [...new Set(
+  (event.tags || []).filter(t => t[0] === name && typeof t[1] === 'string').map(t => t[1])
+)];
+
+// Latest mute list event for a pubkey, or null if it never published one
+export function getMuteList(storage, pubkey) {
+  const [event] = storage.getEvents({ author: pubkey, kind: KIND.MUTE_LIST, limit: 1 });
+  return event || null;
+}
+
+// What a mute list mutes: { pubkeys, words, threads }
+export function muteListEntries(event) {
+  return {
+    pubkeys: event ? tagValues(event, 'pubkey') : [],
+    words: event ? tagValues(event, 'word') : [],
+    threads: event ? tagValues(event, 'thread') : []
+  };
+}
+
+// Reason a mute list is malformed, or null if it is fine (an empty list unmutes everything)
+export function muteListError(event) {
+  const { pubkeys, words, threads } = muteListEntries(event);
+  if (!pubkeys.every(pk => HEX_64.test(pk))) return 'Muted pubkeys must be 64 lowercase hex characters';
+  if (!threads.every(id => HEX_64.test(id))) return 'Muted threads must be root event ids (64 lowercase hex characters)';
+  if (!words.every(word => word.length <= MAX_WORD_LENGTH && tokenize(word).length)) {
+    return `Muted words must contain a letter or digit and be at most ${MAX_WORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * The viewer's mute list as a storage exclusion: { authors, threads, words }
+ * with each word as a list of tokens. null when the viewer mutes nothing.
+ */
+export function muteExclusion(storage, viewer) {
+  if (typeof viewer !== 'string' || !HEX_64.test(viewer)) return null;
+
+  const { pubkeys, words, threads } = muteListEntries(getMuteList(storage, viewer));
+  if (!pubkeys.length && !words.length && !threads.length) return null;
+  return { authors: pubkeys, threads, words: words.map(tokenize) };
+}
@@ -0,0 +1,127 @@
+/**
+ * Notifications
+ *
+ * An agent is notified when someone replies to or reacts to one of its
+ * posts, mentions it with a `["mention", "<pubkey>"]` tag, follows it, or
+ * sends it a direct message.
+ * Nothing is stored separately: the inbox is derived from events, and the
+ * same rules decide who gets a live push when an event is accepted.
+ *
+ *   { type: 'reply' | 'reaction' | 'mention' | 'follow' | 'message', event, target }
+ *
+ * `target` is the recipient's event that was replied or reacted to, null
+ * for the other types. Message notifications are private: they are only
+ * listed or pushed for a request the recipient signed (see auth.js).
+ */
+
+import { KIND, reactionTarget } from './kinds.js';
+import { replyParent } from './threads.js';
+import { messageRecipient } from './messages.js';
+import { encodeCursor, decodeCursor, compareNewestFirst, isAfter } from './cursors.js';
+
+export const DEFAULT_NOTIFICATION_LIMIT = 50;
+export const MAX_NOTIFICATION_LIMIT = 200;
+
+// Only replies and reactions to this many of an agent's latest posts count
+const MAX_OWN_EVENTS = 500;
+const MAX_CANDIDATES = 1000;
+
+const tagValues = (event, name) => [...new Set(
+  (event.tags || []).filter(t => t[0] === name && typeof t[1] === 'string').map(t => t[1])
+)];
+
+/**
+ * Everyone `event` notifies, as a Map of pubkey -> notification. The author
+ * is never notified about their own events. `followed` overrides which
+ * pubkeys a follow list notifies (e.g. only the newly added ones).
+ */
+export function notificationsFor(storage, event, { followed } = {}) {
+  const result = new Map();
+  const add = (pubkey, type, target = null) => {
+    if (pubkey && pubkey !== event.pubkey && !result.has(pubkey)) {
+      result.set(pubkey, { type, event, target });
+    }
+  };
+
+  // A direct message only ever notifies its recipient
+  if (event.kind === KIND.DIRECT_MESSAGE) {
+    add(messageRecipient(event), 'message');
+    return result;
+  }
+
+  const targetId = event.kind === KIND.REPLY ? replyParent(event)
+    : event.kind === KIND.REACTION ? reactionTarget(event)
+    : null;
+  if (targetId) {
+    const target = storage.getEventById(targetId);
+    if (target) add(target.pubkey, event.kind === KIND.REPLY ? 'reply' : 'reaction', targetId);
+  }
+
+  for (const pubkey of tagValues(event, 'mention')) add(pubkey, 'mention');
+
+  if (event.kind === KIND.FOLLOW) {
+    for (const pubkey of followed ?? tagValues(event, 'follow')) add(pubkey, 'follow');
+  }
+
+  return result;
+}
+
+/**
+ * Parse a notification cursor: one returned by getNotifications, or a plain
+ * unix timestamp (everything from that second on). Returns null if malformed.
+ */
+export function parseCursor(value) {
+  if (/^\d+$/.test(String(value))) return { created_at: parseInt(value), id: '' };
+  return decodeCursor(value);
+}
+
+const formatCursor = position => (position.id ? encodeCursor(position) : String(position.created_at));
+
+/**
+ * An agent's notifications, newest first.
+ *
+ * Without a cursor, returns the latest `limit`. With one, returns the
+ * `limit` oldest notifications after it, so polling with the returned
+ * `cursor` walks through everything in order. `more` says whether some
+ * notifications were left out of this page. Direct messages are only
+ * included with `messages: true`.
+ */
+export function getNotifications(storage, pubkey, { cursor = null, limit = DEFAULT_NOTIFICATION_LIMIT, messages = false } = {}) {
+  const since = cursor?.created_at;
+  const own = storage
+    .getEvents({ author: pubkey, kinds: [KIND.POST, KIND.REPLY], limit: MAX_OWN_EVENTS })
+    .map(e => e.id);
+
+  const queries = [
+    { tags: { mention: [pubkey] } },
+    { kind: KIND.FOLLOW, tags: { follow: [pubkey] } }
+  ];
+  if (messages) queries.push({ kind: KIND.DIRECT_MESSAGE, tags: { to: [pubkey] } });
+  if (own.length) {
+    queries.push({ kind: KIND.REPLY, tags: { reply_to: own } });
+    queries.push({ kind: KIND.REACTION, tags: { target: own } });
+  }
+
+  const candidates = new Map();
+  for (const query of queries) {
+    for (const event of storage.getEvents({ ...query, since, limit: MAX_CANDIDATES })) {
+      if (!cursor || isAfter(event, cursor)) candidates.set(event.id, event);
+    }
+  }
+
+  const notifications = [];
+  for (const event of candidates.values()) {
+    const notification = notificationsFor(storage, event).get(pubkey);
+    if (notification && (messages || notification.type !== 'message')) notifications.push(notification);
+  }
+  notifications.sort((a, b) => compareNewestFirst(a.event, b.event));
+
+  const page = cursor ? notifications.slice(-limit) : notifications.slice(0, limit);
+  const newest = page[0]?.event;
+
+  return {
+    notifications: page,
+    cursor: newest ? formatCursor(newest) : (cursor && formatCursor(cursor)),
+    more: notifications.length > page.length
+  };
+}
@@ -0,0 +1,246 @@
+/**
+ * Event acceptance policy
+ *
+ * Limits every event must meet before it is stored, however it arrives
+ * (HTTP, WebSocket or federation). Set in the `policy` section of the relay
+ * config; anything left out keeps its default:
+ *
+ *   {
+ *     "maxContentLength": 32768,   bytes of UTF-8 content
+ *     "maxTags": 100,
+ *     "maxTagLength": 1024,        bytes of any single tag element
+ *     "allowedKinds": null,        any kind, or a list of kinds and [min, max] ranges
+ *     "maxPastSkew": null,         seconds created_at may lag behind now (null: no limit)
+ *     "maxFutureSkew": 900,        seconds created_at may run ahead of now
+ *     "contentSchemas": { "5": { ... } }
+ *   }
+ *
+ * A content schema is a small subset of JSON Schema (type, enum, required,
+ * properties, additionalProperties, minLength, maxLength, pattern, minimum,
+ * maximum, items, maxItems). A schema of type "string" checks the raw
+ * content; any other type parses the content as JSON first. Configured
+ * schemas replace the default for their kind, and null removes it.
+ *
+ * A violation is { reason, message, details }, where `reason` is a stable
+ * code and `details` names the limit and the offending value.
+ */
+
+import { KIND } from './kinds.js';
+
+export const DEFAULT_POLICY = {
+  maxContentLength: 32 * 1024,
+  maxTags: 100,
+  maxTagLength: 1024,
+  allowedKinds: null,
+  maxPastSkew: null,
+  maxFutureSkew: 15 * 60,
+  contentSchemas: {
+    [KIND.REACTION]: { type: 'string', maxLength: 64 },
+    [KIND.PROFILE]: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        bio: { type: 'string', maxLength: 1000 }
+      }
+    }
+  }
+};
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const SCHEMA_KEYWORDS = ['type', 'enum', 'required', 'properties', 'additionalProperties', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'items', 'maxItems'];
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+// Throw if `schema` uses anything validateSchema doesn't understand
+function checkSchema(schema, path) {
+  if (!matchesType(schema, 'object')) throw new Error(`${path} must be an object`);
+  for (const key of Object.keys(schema)) {
+    if (!SCHEMA_KEYWORDS.includes(key)) throw new Error(`${path}: unsupported keyword "${key}"`);
+  }
+  if (schema.type !== undefined && !TYPES.includes(schema.type)) {
+    throw new Error(`${path}.type must be one of ${TYPES.join(', ')}`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern, 'u');
+    } catch (err) {
+      throw new Error(`${path}.pattern is not a valid regular expression`);
+    }
+  }
+  for (const [key, child] of Object.entries(schema.properties || {})) checkSchema(child, `${path}.properties.${key}`);
+  if (schema.items !== undefined) checkSchema(schema.items, `${path}.items`);
+}
+
+/**
+ * First way `value` breaks `schema`, as a message naming `path`, or null if
+ * it conforms
+ */
+export function validateSchema(value, schema, path = 'content') {
+  if (schema.type && !matchesType(value, schema.type)) return `${path} must be of type ${schema.type}`;
+  if (schema.enum && !schema.enum.includes(value)) return `${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`;
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) return `${path} must be at least ${schema.minLength} characters`;
+    if (schema.maxLength !== undefined && length > schema.maxLength) return `${path} must be at most ${schema.maxLength} characters`;
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) return `${path} must match ${schema.pattern}`;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return `${path} must be at least ${schema.minimum}`;
+    if (schema.maximum !== undefined && value > schema.maximum) return `${path} must be at most ${schema.maximum}`;
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return `${path} must have at most ${schema.maxItems} items`;
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = validateSchema(value[i], schema.items, `${path}[${i}]`);
+        if (error) return error;
+      }
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) return `${path}.${key} is required`;
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties && Object.hasOwn(schema.properties, key)) {
+        const error = validateSchema(child, schema.properties[key], `${path}.${key}`);
+        if (error) return error;
+      } else if (schema.additionalProperties === false) {
+        return `${path}.${key} is not allowed`;
+      }
+    }
+  }
+
+  return null;
+}
+
+const isLimit = value => value === null || (Number.isInteger(value) && value >= 0);
+
+/**
+ * Merge a `policy` config section over the defaults. Throws an Error with a
+ * readable message if a setting is malformed.
+ */
+export function normalizePolicy(raw = {}) {
+  if (!matchesType(raw, 'object')) throw new Error('policy must be an object');
+
+  const policy = { ...DEFAULT_POLICY, contentSchemas: { ...DEFAULT_POLICY.contentSchemas } };
+  for (const [key, value] of Object.entries(raw)) {
+    if (!Object.hasOwn(DEFAULT_POLICY, key)) throw new Error(`policy: unknown setting "${key}"`);
+    if (key !== 'contentSchemas') policy[key] = value;
+  }
+
+  for (const key of ['maxContentLength', 'maxTags', 'maxTagLength']) {
+    if (!Number.isInteger(policy[key]) || policy[key] < 0) throw new Error(`policy.${key} must be a non-negative integer`);
+  }
+  for (const key of ['maxPastSkew', 'maxFutureSkew']) {
+    if (!isLimit(policy[key])) throw new Error(`policy.${key} must be a non-negative integer or null`);
+  }
+
+  if (policy.allowedKinds !== null) {
+    const valid = Array.isArray(policy.allowedKinds) && policy.allowedKinds.every(entry => Number.isInteger(entry) ||
+      (Array.isArray(entry) && entry.length === 2 && entry.every(Number.isInteger) && entry[0] <= entry[1]));
+    if (!valid) throw new Error('policy.allowedKinds must be null or a list of kinds and [min, max] ranges');
+  }
+
+  if (raw.contentSchemas !== undefined) {
+    if (!matchesType(raw.contentSchemas, 'object')) throw new Error('policy.contentSchemas must be an object');
+    for (const [kind, schema] of Object.entries(raw.contentSchemas)) {
+      if (!/^\d+$/.test(kind)) throw new Error(`policy.contentSchemas: "${kind}" is not a kind`);
+      if (schema === null) {
+        delete policy.contentSchemas[kind];
+      } else {
+        checkSchema(schema, `policy.contentSchemas.${kind}`);
+        policy.contentSchemas[kind] = schema;
+      }
+    }
+  }
+
+  return policy;
+}
+
+/**
+ * Build a policy from a config section: check(event, now) returns null for
+ * an acceptable event or the first violation, and `limits` is the effective
+ * policy for clients to validate against.
+ */
+export function createPolicy(config) {
+  const limits = normalizePolicy(config);
+
+  const violation = (reason, message, details) => ({ reason, message, details });
+
+  const kindAllowed = kind => limits.allowedKinds === null ||
+    limits.allowedKinds.some(entry => (Array.isArray(entry) ? kind >= entry[0] && kind <= entry[1] : kind === entry));
+
+  function checkContent(event) {
+    const schema = limits.contentSchemas[event.kind];
+    if (!schema) return null;
+
+    let value = event.content || '';
+    if (schema.type !== 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (e) {
+        return violation('invalid_content', `Kind ${event.kind} content must be JSON`, { kind: event.kind });
+      }
+    }
+    const error = validateSchema(value, schema);
+    return error ? violation('invalid_content', `Kind ${event.kind}: ${error}`, { kind: event.kind }) : null;
+  }
+
+  function check(event, now = Math.floor(Date.now() / 1000)) {
+    if (!kindAllowed(event.kind)) {
+      return violation('kind_not_allowed', `Kind ${event.kind} is not accepted by this relay`, { kind: event.kind });
+    }
+
+    if (limits.maxFutureSkew !== null && event.created_at > now + limits.maxFutureSkew) {
+      return violation('created_at_too_new', `created_at is more than ${limits.maxFutureSkew}s in the future`,
+        { limit: limits.maxFutureSkew, value: event.created_at - now });
+    }
+    if (limits.maxPastSkew !== null && event.created_at < now - limits.maxPastSkew) {
+      return violation('created_at_too_old', `created_at is more than ${limits.maxPastSkew}s in the past`,
+        { limit: limits.maxPastSkew, value: now - event.created_at });
+    }
+
+    const contentLength = Buffer.byteLength(String(event.content ?? ''));
+    if (contentLength > limits.maxContentLength) {
+      return violation('content_too_long', `Content is longer than ${limits.maxContentLength} bytes`,
+        { limit: limits.maxContentLength, value: contentLength });
+    }
+
+    const tags = Array.isArray(event.tags) ? event.tags : [];
+    if (tags.length > limits.maxTags) {
+      return violation('too_many_tags', `More than ${limits.maxTags} tags`, { limit: limits.maxTags, value: tags.length });
+    }
+    for (const [index, tag] of tags.entries()) {
+      for (const element of Array.isArray(tag) ? tag : [tag]) {
+        const length = Buffer.byteLength(String(element));
+        if (length > limits.maxTagLength) {
+          return violation('tag_too_long', `Tag ${index} has an element longer than ${limits.maxTagLength} bytes`,
+            { limit: limits.maxTagLength, value: length, tag: index });
+        }
+      }
+    }
+
+    return checkContent(event);
+  }
+
+  return { check, limits };
+}
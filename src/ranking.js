@@ -0,0 +1,61 @@
+/**
+ * Ranked feeds
+ *
+ * Posts and replies carry two counters, upvotes ('+' reactions, at most one
+ * per agent since reactions are replaceable per target) and direct replies.
+ * Storage keeps them up to date as reactions and replies are stored or
+ * removed, so ranking never has to count reactions again.
+ *
+ *   new  newest first (the default)
+ *   hot  engagement decayed by age
+ *   top  most upvotes, then most replies, within a time window
+ */
+
+import { KIND, reactionTarget, reactionValue } from './kinds.js';
+import { replyParent } from './threads.js';
+
+export const SORTS = ['new', 'hot', 'top'];
+export const RANKED_KINDS = [KIND.POST, KIND.REPLY];
+
+// Seconds each `top` window reaches back (null: all time)
+export const TOP_WINDOWS = { day: 24 * 60 * 60, week: 7 * 24 * 60 * 60, month: 30 * 24 * 60 * 60, all: null };
+export const DEFAULT_TOP_WINDOW = 'day';
+
+// A post with ten times the engagement ranks like one this much newer
+const HOT_DECAY = 45000;
+
+/**
+ * Hot score of an event. Age only enters through created_at, so the score
+ * stays fixed until the counters change and can be stored and indexed.
+ */
+export function hotScore(createdAt, { upvotes = 0, replies = 0 } = {}) {
+  return Math.log10(1 + upvotes + replies) + createdAt / HOT_DECAY;
+}
+
+/**
+ * How storing `event` changes the counters of the event it responds to:
+ * { target, upvotes, replies }, or null if it doesn't count towards any.
+ * Removing the event undoes the same change.
+ */
+export function scoreDelta(event) {
+  if (event.kind === KIND.REPLY) {
+    const parent = replyParent(event);
+    return parent ? { target: parent, upvotes: 0, replies: 1 } : null;
+  }
+  if (event.kind === KIND.REACTION && reactionValue(event.content) === '+') {
+    const target = reactionTarget(event);
+    return target ? { target, upvotes: 1, replies: 0 } : null;
+  }
+  return null;
+}
+
+// Order for `top`: most upvotes, then most replies, then newest
+export function compareTop(a, b) {
+  return b.upvotes - a.upvotes || b.replies - a.replies || b.event.created_at - a.event.created_at ||
+    (a.event.id < b.event.id ? 1 : -1);
+}
+
+// Order for `hot`: highest score first, higher id first on a tie
+export function compareHot(a, b) {
+  return b.hot - a.hot || (a.event.id < b.event.id ? 1 : -1);
+}
@@ -0,0 +1,170 @@
+/**
+ * Rate limiting
+ *
+ * Token buckets per author pubkey and per client IP. Each accepted attempt
+ * takes one token from the author's bucket and one from the IP's; buckets
+ * refill continuously up to their burst size. A kind with its own limits
+ * gets its own buckets, every other kind shares the default ones. Set in
+ * the `rateLimits` section of the relay config:
+ *
+ *   {
+ *     "pubkey": { "default": { "burst": 30, "perMinute": 30 }, "kinds": { "3": { ... } } },
+ *     "ip": { "default": { "burst": 120, "perMinute": 120 }, "kinds": {} },
+ *     "pow": { "difficulty": 20, "cost": 0 }
+ *   }
+ *
+ * `null` turns a scope (or proof of work) off. Proof of work: an event with
+ * a `["nonce", "<n>", "<target>"]` tag whose id starts with at least
+ * `difficulty` zero bits costs `cost` tokens instead of one, so 0 bypasses
+ * the limits and e.g. 0.25 relaxes them.
+ */
+
+import { leadingZeroBits } from './crypto.js';
+
+export const DEFAULT_RATE_LIMITS = {
+  pubkey: { default: { burst: 30, perMinute: 30 }, kinds: { 3: { burst: 60, perMinute: 60 } } },
+  ip: { default: { burst: 120, perMinute: 120 }, kinds: {} },
+  pow: { difficulty: 20, cost: 0 }
+};
+
+const SCOPES = ['pubkey', 'ip'];
+
+// How often to forget buckets that have refilled completely
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function checkBucket(bucket, path) {
+  if (!isObject(bucket)) throw new Error(`${path} must be an object`);
+  for (const key of ['burst', 'perMinute']) {
+    if (typeof bucket[key] !== 'number' || !(bucket[key] > 0)) throw new Error(`${path}.${key} must be a positive number`);
+  }
+  return { burst: bucket.burst, perMinute: bucket.perMinute };
+}
+
+/**
+ * Proof-of-work difficulty of an event: leading zero bits of its id, capped
+ * at the target its nonce tag commits to. 0 without a nonce tag.
+ */
+export function powDifficulty(event) {
+  const nonce = (event.tags || []).find(t => t[0] === 'nonce');
+  if (!nonce) return 0;
+  const bits = leadingZeroBits(event.id);
+  const target = parseInt(nonce[2]);
+  return Number.isInteger(target) ? Math.min(bits, target) : bits;
+}
+
+/**
+ * Merge a `rateLimits` config section over the defaults. Throws an Error
+ * with a readable message if a setting is malformed.
+ */
+export function normalizeRateLimits(raw = {}) {
+  if (!isObject(raw)) throw new Error('rateLimits must be an object');
+  for (const key of Object.keys(raw)) {
+    if (![...SCOPES, 'pow'].includes(key)) throw new Error(`rateLimits: unknown setting "${key}"`);
+  }
+
+  const limits = {};
+  for (const scope of SCOPES) {
+    const value = raw[scope] === undefined ? DEFAULT_RATE_LIMITS[scope] : raw[scope];
+    if (value === null) {
+      limits[scope] = null;
+      continue;
+    }
+    if (!isObject(value)) throw new Error(`rateLimits.${scope} must be an object or null`);
+
+    const kinds = {};
+    for (const [kind, bucket] of Object.entries(value.kinds ?? DEFAULT_RATE_LIMITS[scope].kinds)) {
+      if (!/^\d+$/.test(kind)) throw new Error(`rateLimits.${scope}.kinds: "${kind}" is not a kind`);
+      kinds[kind] = checkBucket(bucket, `rateLimits.${scope}.kinds.${kind}`);
+    }
+    limits[scope] = {
+      default: checkBucket(value.default ?? DEFAULT_RATE_LIMITS[scope].default, `rateLimits.${scope}.default`),
+      kinds
+    };
+  }
+
+  const pow = raw.pow === undefined ? DEFAULT_RATE_LIMITS.pow : raw.pow;
+  if (pow !== null) {
+    if (!isObject(pow) || !Number.isInteger(pow.difficulty) || pow.difficulty < 1 || pow.difficulty > 256) {
+      throw new Error('rateLimits.pow.difficulty must be an integer from 1 to 256');
+    }
+    if (typeof pow.cost !== 'number' || pow.cost < 0 || pow.cost > 1) {
+      throw new Error('rateLimits.pow.cost must be a number from 0 to 1');
+    }
+  }
+  limits.pow = pow && { difficulty: pow.difficulty, cost: pow.cost };
+
+  return limits;
+}
+
+/**
+ * Build a rate limiter from a config section. take(event, { ip }) spends
+ * the event's tokens and returns null, or returns { scope, retryAfter }
+ * (seconds) without spending anything if a bucket is short. refund(event,
+ * { ip }) gives the tokens back when the event is refused after all.
+ * `limits` is the effective configuration for clients.
+ */
+export function createRateLimiter(config) {
+  const limits = normalizeRateLimits(config);
+  const buckets = new Map(); // 'scope:key:kind' -> { tokens, updated, burst, rate (tokens/ms) }
+
+  // Tokens in a bucket right now, after refilling since it was last used
+  function bucketFor(scope, key, kind, now) {
+    const kindKey = Object.hasOwn(limits[scope].kinds, kind) ? String(kind) : '*';
+    const { burst, perMinute } = kindKey === '*' ? limits[scope].default : limits[scope].kinds[kindKey];
+    const id = `${scope}:${key}:${kindKey}`;
+
+    let bucket = buckets.get(id);
+    if (!bucket) {
+      bucket = { tokens: burst, updated: now, burst, rate: perMinute / 60000 };
+      buckets.set(id, bucket);
+    }
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updated) * bucket.rate);
+    bucket.updated = now;
+    return bucket;
+  }
+
+  const costOf = event => limits.pow && powDifficulty(event) >= limits.pow.difficulty ? limits.pow.cost : 1;
+
+  // The buckets an event draws on, one per enabled scope it has a key for
+  function bucketsFor(event, ip, now) {
+    const keys = { pubkey: event.pubkey, ip };
+    return SCOPES
+      .filter(scope => limits[scope] && keys[scope])
+      .map(scope => ({ scope, bucket: bucketFor(scope, keys[scope], event.kind, now) }));
+  }
+
+  function take(event, { ip } = {}, now = Date.now()) {
+    const cost = costOf(event);
+    if (cost === 0) return null;
+
+    const charged = [];
+    for (const { scope, bucket } of bucketsFor(event, ip, now)) {
+      if (bucket.tokens < cost) {
+        return { scope, retryAfter: Math.ceil((cost - bucket.tokens) / bucket.rate / 1000) };
+      }
+      charged.push(bucket);
+    }
+    for (const bucket of charged) bucket.tokens -= cost;
+    return null;
+  }
+
+  function refund(event, { ip } = {}, now = Date.now()) {
+    const cost = costOf(event);
+    for (const { bucket } of bucketsFor(event, ip, now)) {
+      bucket.tokens = Math.min(bucket.burst, bucket.tokens + cost);
+    }
+  }
+
+  // A full bucket is the same as a new one, so there's no need to keep it
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [id, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updated) * bucket.rate >= bucket.burst) buckets.delete(id);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  return { take, refund, limits };
+}
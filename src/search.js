@@ -0,0 +1,75 @@
+/**
+ * Full-text search
+ *
+ * Posts and replies are indexed by their content, profiles by name and bio.
+ * Every backend tokenizes the same way (lowercase, accents folded, split on
+ * anything that isn't a letter or digit, like SQLite's unicode61) and ranks
+ * matches with BM25, so results agree across backends.
+ *
+ * Queries are words and "quoted phrases"; an event must match all of them.
+ */
+
+import { KIND } from './kinds.js';
+
+export const SEARCHABLE_KINDS = [KIND.POST, KIND.REPLY, KIND.PROFILE];
+export const MAX_SEARCH_RESULTS = 500;
+
+const MAX_QUERY_PHRASES = 16;
+
+// BM25 tuning: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+export function tokenize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Text to index for an event, or null for kinds that aren't searchable
+export function searchableText(event) {
+  if (event.kind === KIND.POST || event.kind === KIND.REPLY) return event.content || '';
+  if (event.kind !== KIND.PROFILE) return null;
+
+  try {
+    const profile = JSON.parse(event.content);
+    return [profile?.name, profile?.bio].filter(v => typeof v === 'string').join('\n');
+  } catch (e) {
+    return event.content || '';
+  }
+}
+
+/**
+ * Split a query into phrases, each a list of tokens: `"exact words"` is one
+ * phrase, every other word its own single-token phrase
+ */
+export function parseSearchQuery(query) {
+  const phrases = [];
+  for (const [, quoted, word] of String(query).matchAll(/"([^"]*)"|(\S+)/g)) {
+    const tokens = tokenize(quoted ?? word);
+    if (quoted !== undefined && tokens.length) phrases.push(tokens);
+    else phrases.push(...tokens.map(token => [token]));
+  }
+  return phrases.slice(0, MAX_QUERY_PHRASES);
+}
+
+/**
+ * BM25 relevance of one document. `hits[i]` is how often phrase i occurs in
+ * it and `docHits[i]` how many indexed documents contain phrase i.
+ */
+export function bm25({ hits, docHits, totalDocs, length, avgLength }) {
+  let score = 0;
+  for (let i = 0; i < hits.length; i++) {
+    const idf = Math.log(1 + (totalDocs - docHits[i] + 0.5) / (docHits[i] + 0.5));
+    const norm = K1 * (1 - B + B * length / (avgLength || 1));
+    score += idf * (hits[i] * (K1 + 1)) / (hits[i] + norm);
+  }
+  return score;
+}
+
+// Best match first; equally relevant events newest first
+export function compareResults(a, b) {
+  return b.score - a.score || b.event.created_at - a.event.created_at || (a.event.id < b.event.id ? 1 : -1);
+}
@@ -0,0 +1,68 @@
+/**
+ * Storage backends
+ *
+ * Every backend returns the same synchronous interface:
+ *
+ *   insertEvent(event)              -> false if superseded by a stored
+ *                                      version of a replaceable event or
+ *                                      deleted; applies deletion events
+ *   getEvents(filter)               -> events, newest first (ties broken
+ *                                      by higher id first)
+ *   getEventById(id)                -> event | null
+ *   isDeleted(id, pubkey)           -> whether the author deleted that id
+ *   getAgentProfile(pubkey, page)   -> { pubkey, profile, stats, recentPosts }
+ *   getProfilesForPubkeys(pubkeys)  -> { [pubkey]: profile }
+ *   getReplyCounts(ids)             -> { [id]: count }
+ *   getUpvoteCounts(ids)            -> { [id]: count }
+ *   getReactionCounts(ids)          -> { [id]: { [reaction]: count } }
+ *   getStats()                      -> { totalEvents, totalAgents }
+ *   search({ phrases, author, kinds, limit })
+ *                                   -> [{ event, score }], best match first
+ *                                      (see search.js)
+ *   getTagCounts({ name, kinds, since, limit })
+ *                                   -> [{ value, events, authors }] for
+ *                                      one tag name, most authors first
+ *   getPeerState(url) / savePeerState(state)
+ *   applyModeration(action)         -> logs an operator action and applies
+ *                                      it (see moderation.js)
+ *   getModeration()                 -> { mode, banned, allowed, hidden },
+ *                                      lists of { target, reason, created_at }
+ *   getModerationActions({ before, limit })
+ *                                   -> logged actions, latest first, each
+ *                                      with a `seq` number; `before` is a seq
+ *   close()                         -> Promise, flushes anything pending
+ *
+ * `filter` takes ids, author/authors, kind/kinds, since, until, tags and limit
+ * (see filters.js), plus `before` / `after` cursor positions ({ created_at,
+ * id }, exclusive; see cursors.js) and `order: 'asc'` to select and return
+ * the oldest matches first. `sort: 'hot' | 'top'` ranks posts and replies
+ * by their upvote and reply counters instead (see ranking.js), skipping the
+ * first `offset` matches. `exclude: { ids, authors, kinds, threads, words }`
+ * leaves out those events, every event by those authors or of those kinds,
+ * thread roots and their replies, and events whose searchable text
+ * contains one of the words (token lists, see filters.js). `page` takes before, after, order
+ * and limit for the profile's posts.
+ *
+ * Reads leave out events hidden by the operator and banned authors' events,
+ * and so do reply, upvote and reaction counts and ranking scores.
+ * `includeHidden: true` lifts that for getEvents.
+ */
+
+import { createSqliteStorage } from './sqlite.js';
+import { createMemoryStorage } from './memory.js';
+import { createJsonlStorage } from './jsonl.js';
+
+export const BACKENDS = ['sqlite', 'memory', 'jsonl'];
+
+export async function createStorage({ backend = 'sqlite', dataDir }) {
+  switch (backend) {
+    case 'sqlite':
+      return createSqliteStorage({ dataDir });
+    case 'memory':
+      return createMemoryStorage();
+    case 'jsonl':
+      return createJsonlStorage({ dataDir });
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+}
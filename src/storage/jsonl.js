@@ -0,0 +1,100 @@
+/**
+ * Append-only JSONL storage backend
+ *
+ * Every accepted event is appended as one JSON line to
+ * `<dataDir>/events.jsonl` and fsynced; the file is loaded back into an
+ * in-memory index on startup. Peer sync state is kept in `peers.json`, and
+ * moderation actions are appended to `moderation.jsonl`.
+ */
+
+import { join, basename } from 'path';
+import {
+  mkdirSync, existsSync, readFileSync, writeFileSync, openSync, writeSync,
+  fdatasyncSync, fsyncSync, closeSync, renameSync, truncateSync
+} from 'fs';
+import { createMemoryStorage } from './memory.js';
+
+// Apply every complete JSON line of a file, dropping a torn final line
+// left by a crash mid-append
+function replayLines(path, apply) {
+  if (!existsSync(path)) return;
+  const name = basename(path);
+  const text = readFileSync(path, 'utf8');
+
+  const end = text.lastIndexOf('\n') + 1;
+  if (end < text.length) {
+    console.error(`Truncating incomplete final line in ${name}`);
+    truncateSync(path, Buffer.byteLength(text.slice(0, end)));
+  }
+
+  for (const line of text.slice(0, end).split('\n')) {
+    if (!line) continue;
+    try {
+      apply(JSON.parse(line));
+    } catch (e) {
+      console.error(`Skipping corrupt line in ${name}`);
+    }
+  }
+}
+
+export function createJsonlStorage({ dataDir }) {
+  mkdirSync(dataDir, { recursive: true });
+
+  const eventsPath = join(dataDir, 'events.jsonl');
+  const peersPath = join(dataDir, 'peers.json');
+  const moderationPath = join(dataDir, 'moderation.jsonl');
+  const memory = createMemoryStorage();
+
+  replayLines(eventsPath, event => memory.insertEvent(event));
+
+  const peers = existsSync(peersPath) ? JSON.parse(readFileSync(peersPath, 'utf8')) : {};
+  for (const state of Object.values(peers)) memory.savePeerState(state);
+
+  replayLines(moderationPath, action => memory.applyModeration(action));
+
+  const fd = openSync(eventsPath, 'a');
+  const moderationFd = openSync(moderationPath, 'a');
+
+  console.log(`Loaded ${memory.getStats().totalEvents} event(s) from events.jsonl`);
+
+  return {
+    ...memory,
+    name: 'jsonl',
+
+    // Superseded events are never written, so the file only grows with
+    // events the relay actually accepted
+    insertEvent(event) {
+      if (!memory.insertEvent(event)) return false;
+      writeSync(fd, JSON.stringify(event) + '\n');
+      fdatasyncSync(fd);
+      return true;
+    },
+
+    savePeerState(state) {
+      memory.savePeerState(state);
+      peers[state.url] = memory.getPeerState(state.url);
+
+      // Rewrite atomically so a crash leaves either the old or new file
+      const tmpPath = `${peersPath}.tmp`;
+      const tmp = openSync(tmpPath, 'w');
+      try {
+        writeFileSync(tmp, JSON.stringify(peers, null, 2));
+        fsyncSync(tmp);
+      } finally {
+        closeSync(tmp);
+      }
+      renameSync(tmpPath, peersPath);
+    },
+
+    applyModeration(action) {
+      writeSync(moderationFd, JSON.stringify(action) + '\n');
+      fdatasyncSync(moderationFd);
+      memory.applyModeration(action);
+    },
+
+    async close() {
+      closeSync(fd);
+      closeSync(moderationFd);
+    }
+  };
+}
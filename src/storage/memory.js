@@ -0,0 +1,392 @@
+/**
+ * In-memory storage backend
+ *
+ * Keeps every event in process memory and forgets them on exit. Meant for
+ * tests and throwaway relays; also the index behind the JSONL backend.
+ */
+
+import { matchesFilter, exclusionTest } from '../filters.js';
+import { compareNewestFirst, isBefore, isAfter } from '../cursors.js';
+import { tokenize, searchableText, bm25, compareResults, MAX_SEARCH_RESULTS } from '../search.js';
+import { scoreDelta, hotScore, compareHot, compareTop, RANKED_KINDS } from '../ranking.js';
+import { replaceableKey, versionQuery, supersedes, deletionTargets, reactionValue, KIND } from '../kinds.js';
+import { createModerationState, applyModerationAction, isVisible, ACTIONS } from '../moderation.js';
+
+export function createMemoryStorage() {
+  const events = [];              // newest first, then highest id first
+  const byId = new Map();
+  const tagIndex = new Map();     // 'name\0value' -> Set of event ids
+  const eventsByAuthor = new Map(); // pubkey -> number of events
+  const peers = new Map();
+  const tombstones = new Set();   // 'event id:author pubkey'
+  const searchDocs = new Map();   // event id -> tokens of its searchable text
+  const postings = new Map();     // token -> Set of event ids
+  let searchLength = 0;           // total tokens across searchDocs
+  const scores = new Map();       // event id -> { upvotes, replies } (see ranking.js)
+  const moderation = createModerationState();
+  const moderationLog = [];       // actions in the order they were applied
+
+  const tagKey = (name, value) => `${name}\0${value}`;
+
+  function indexTags(event, add) {
+    for (const tag of event.tags) {
+      if (!Array.isArray(tag) || typeof tag[0] !== 'string' || typeof tag[1] !== 'string') continue;
+      const key = tagKey(tag[0], tag[1]);
+      if (add) {
+        if (!tagIndex.has(key)) tagIndex.set(key, new Set());
+        tagIndex.get(key).add(event.id);
+      } else {
+        tagIndex.get(key)?.delete(event.id);
+      }
+    }
+  }
+
+  function indexSearch(event, add) {
+    const tokens = add ? tokenize(searchableText(event) ?? '') : searchDocs.get(event.id);
+    if (!tokens?.length) return;
+
+    for (const token of new Set(tokens)) {
+      if (add) {
+        if (!postings.has(token)) postings.set(token, new Set());
+        postings.get(token).add(event.id);
+      } else {
+        postings.get(token).delete(event.id);
+        if (!postings.get(token).size) postings.delete(token);
+      }
+    }
+    if (add) searchDocs.set(event.id, tokens);
+    else searchDocs.delete(event.id);
+    searchLength += add ? tokens.length : -tokens.length;
+  }
+
+  // Count a reply or upvote towards its target (sign 1) or take it back (-1).
+  // Only visible events count.
+  function updateScore(event, sign) {
+    const delta = scoreDelta(event);
+    if (!delta || !visible(event)) return;
+    const score = scores.get(delta.target) || { upvotes: 0, replies: 0 };
+    score.upvotes += sign * delta.upvotes;
+    score.replies += sign * delta.replies;
+    scores.set(delta.target, score);
+  }
+
+  function removeEvent(id) {
+    const event = byId.get(id);
+    if (!event) return;
+    byId.delete(id);
+    events.splice(events.indexOf(event), 1);
+    indexTags(event, false);
+    indexSearch(event, false);
+    updateScore(event, -1);
+    const count = eventsByAuthor.get(event.pubkey) - 1;
+    if (count) eventsByAuthor.set(event.pubkey, count);
+    else eventsByAuthor.delete(event.pubkey);
+  }
+
+  // Other stored versions of a replaceable event (same replaceable key)
+  function otherVersions(event) {
+    const key = replaceableKey(event);
+    if (!key) return [];
+    return getEvents({ ...versionQuery(event), includeHidden: true, limit: Infinity })
+      .filter(e => e.id !== event.id && replaceableKey(e) === key);
+  }
+
+  const isDeleted = (id, pubkey) => tombstones.has(`${id}:${pubkey}`);
+
+  // Tombstone every target of a deletion event and remove the ones its author
+  // wrote. Targets we haven't seen yet stay tombstoned for when they arrive.
+  function applyDeletion(deletion) {
+    for (const id of deletionTargets(deletion)) {
+      tombstones.add(`${id}:${deletion.pubkey}`);
+      const target = byId.get(id);
+      if (target && target.pubkey === deletion.pubkey && target.kind !== KIND.DELETION) {
+        removeEvent(id);
+      }
+    }
+  }
+
+  function insertEvent(event) {
+    if (isDeleted(event.id, event.pubkey)) return false;
+
+    const older = otherVersions(event);
+    if (older.some(e => !supersedes(event, e))) return false;
+    for (const old of older) removeEvent(old.id);
+    applyDeletion(event);
+
+    removeEvent(event.id);
+
+    const stored = {
+      id: event.id,
+      pubkey: event.pubkey,
+      created_at: event.created_at,
+      kind: event.kind,
+      content: event.content || '',
+      tags: event.tags || [],
+      sig: event.sig
+    };
+
+    // Binary search for the first event that sorts after this one
+    let lo = 0;
+    let hi = events.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (compareNewestFirst(events[mid], stored) < 0) lo = mid + 1;
+      else hi = mid;
+    }
+    events.splice(lo, 0, stored);
+
+    byId.set(stored.id, stored);
+    indexTags(stored, true);
+    indexSearch(stored, true);
+    updateScore(stored, 1);
+    eventsByAuthor.set(stored.pubkey, (eventsByAuthor.get(stored.pubkey) || 0) + 1);
+
+    return true;
+  }
+
+  const visible = event => isVisible(moderation, event);
+
+  function getEvents({ ids, author, authors, since, until, before, after, kind, kinds, tags, exclude, order = 'desc', sort = 'new', offset = 0, limit = 50, includeHidden = false }) {
+    const filter = { ids, since: since || undefined, until: until || undefined, tags };
+    if (author) filter.authors = authors ? authors.filter(pk => pk === author) : [author];
+    else if (authors) filter.authors = authors;
+    if (kind !== undefined) filter.kinds = kinds ? kinds.filter(k => k === kind) : [kind];
+    else if (kinds) filter.kinds = kinds;
+
+    // Narrow the scan with the tag index when filtering by tag
+    let candidates = events;
+    const [firstTag] = Object.entries(tags || {});
+    if (firstTag) {
+      const [name, values] = firstTag;
+      const matched = new Set();
+      for (const value of values) {
+        for (const id of tagIndex.get(tagKey(name, value)) || []) matched.add(id);
+      }
+      candidates = [...matched].map(id => byId.get(id)).sort(compareNewestFirst);
+    }
+
+    const excluded = exclusionTest(exclude);
+
+    if (sort === 'hot' || sort === 'top') {
+      const ranked = candidates
+        .filter(event => RANKED_KINDS.includes(event.kind) && matchesFilter(event, filter) && (includeHidden || visible(event)))
+        .filter(event => (!before || isBefore(event, before)) && (!after || isAfter(event, after)) && !excluded(event))
+        .map((event) => {
+          const score = scores.get(event.id) || { upvotes: 0, replies: 0 };
+          return { event, ...score, hot: hotScore(event.created_at, score) };
+        });
+      return ranked.sort(sort === 'hot' ? compareHot : compareTop).slice(offset, offset + limit).map(r => r.event);
+    }
+
+    if (order === 'asc') candidates = [...candidates].reverse();
+
+    const results = [];
+    for (const event of candidates) {
+      if (results.length >= limit) break;
+      if (before && !isBefore(event, before)) continue;
+      if (after && !isAfter(event, after)) continue;
+      if (!includeHidden && !visible(event)) continue;
+      if (excluded(event)) continue;
+      if (matchesFilter(event, filter)) results.push(event);
+    }
+    return results;
+  }
+
+  function getEventById(id) {
+    const event = byId.get(id);
+    return event && visible(event) ? event : null;
+  }
+
+  function parseProfile(event) {
+    try {
+      return JSON.parse(event.content);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function getProfilesForPubkeys(pubkeys) {
+    const profiles = {};
+    for (const pubkey of pubkeys) {
+      const [event] = getEvents({ author: pubkey, kind: 5, limit: 1 });
+      if (event) profiles[pubkey] = parseProfile(event);
+    }
+    return profiles;
+  }
+
+  function getAgentProfile(pubkey, page = {}) {
+    const [profileEvent] = getEvents({ author: pubkey, kind: 5, limit: 1 });
+    let profile = null;
+    if (profileEvent) profile = parseProfile(profileEvent) ?? { bio: profileEvent.content };
+
+    const authored = getEvents({ author: pubkey, limit: Infinity });
+
+    return {
+      pubkey,
+      profile,
+      stats: {
+        posts: authored.filter(e => e.kind === 1 || e.kind === 2).length,
+        upvotes: authored.filter(e => e.kind === KIND.REACTION).length
+      },
+      recentPosts: getEvents({ limit: 20, ...page, author: pubkey, kind: 1 })
+    };
+  }
+
+  // Count events of `kind` whose `tagName` tag points at each of `eventIds`
+  function countTagged(kind, tagName, eventIds) {
+    const counts = {};
+    for (const id of eventIds) {
+      counts[id] = 0;
+      for (const eventId of tagIndex.get(tagKey(tagName, id)) || []) {
+        const event = byId.get(eventId);
+        if (event.kind === kind && visible(event)) counts[id]++;
+      }
+    }
+    return counts;
+  }
+
+  // Tally of each reaction value per event: { [id]: { '+': 3, '-': 1, '🔥': 2 } }
+  function getReactionCounts(eventIds) {
+    const counts = {};
+    for (const id of eventIds) {
+      counts[id] = {};
+      for (const eventId of tagIndex.get(tagKey('target', id)) || []) {
+        const event = byId.get(eventId);
+        if (event.kind !== KIND.REACTION || !visible(event)) continue;
+        const value = reactionValue(event.content);
+        counts[id][value] = (counts[id][value] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  function getTagCounts({ name, kinds, since = 0, limit = 20 }) {
+    const counts = new Map(); // value -> { value, events, authors: Set }
+    for (const event of events) {
+      if (event.created_at < since) break;
+      if (!kinds.includes(event.kind) || !visible(event)) continue;
+
+      const values = new Set(event.tags.filter(t => t[0] === name && typeof t[1] === 'string').map(t => t[1]));
+      for (const value of values) {
+        if (!counts.has(value)) counts.set(value, { value, events: 0, authors: new Set() });
+        const count = counts.get(value);
+        count.events++;
+        count.authors.add(event.pubkey);
+      }
+    }
+
+    return [...counts.values()]
+      .map(({ value, events, authors }) => ({ value, events, authors: authors.size }))
+      .sort((a, b) => b.authors - a.authors || b.events - a.events || (a.value < b.value ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  // Occurrences of a phrase (list of tokens) in a document's tokens
+  function countPhrase(tokens, phrase) {
+    let count = 0;
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((token, j) => tokens[i + j] === token)) count++;
+    }
+    return count;
+  }
+
+  function search({ phrases, author, kinds, limit = MAX_SEARCH_RESULTS }) {
+    if (!phrases.length) return [];
+
+    // Documents containing every token of the query
+    const tokens = [...new Set(phrases.flat())];
+    const sets = tokens.map(token => postings.get(token) || new Set()).sort((a, b) => a.size - b.size);
+    const candidates = [...sets[0]].filter(id => sets.every(set => set.has(id)));
+
+    // Phrase document frequencies, counted over every document holding its tokens
+    const docHits = phrases.map((phrase) => {
+      if (phrase.length === 1) return postings.get(phrase[0])?.size || 0;
+      const phraseSets = phrase.map(token => postings.get(token) || new Set());
+      return [...phraseSets[0]]
+        .filter(id => phraseSets.every(set => set.has(id)) && countPhrase(searchDocs.get(id), phrase))
+        .length;
+    });
+
+    const results = [];
+    for (const id of candidates) {
+      const event = byId.get(id);
+      if (author && event.pubkey !== author) continue;
+      if (kinds && !kinds.includes(event.kind)) continue;
+      if (!visible(event)) continue;
+
+      const doc = searchDocs.get(id);
+      const hits = phrases.map(phrase => countPhrase(doc, phrase));
+      if (hits.some(h => h === 0)) continue;
+
+      results.push({
+        event,
+        score: bm25({ hits, docHits, totalDocs: searchDocs.size, length: doc.length, avgLength: searchLength / searchDocs.size })
+      });
+    }
+
+    return results.sort(compareResults).slice(0, limit);
+  }
+
+  return {
+    name: 'memory',
+    insertEvent,
+    getEvents,
+    getEventById,
+    isDeleted,
+    getAgentProfile,
+    getProfilesForPubkeys,
+    getReplyCounts: eventIds => countTagged(KIND.REPLY, 'reply_to', eventIds),
+    getReactionCounts,
+    search,
+    getTagCounts,
+
+    // Upvotes are '+' reactions ('' from older clients)
+    getUpvoteCounts(eventIds) {
+      const reactions = getReactionCounts(eventIds);
+      return Object.fromEntries(eventIds.map(id => [id, reactions[id]['+'] || 0]));
+    },
+
+    getStats() {
+      if (!moderation.hidden.size && !moderation.banned.size) {
+        return { totalEvents: byId.size, totalAgents: eventsByAuthor.size };
+      }
+      const shown = events.filter(visible);
+      return { totalEvents: shown.length, totalAgents: new Set(shown.map(e => e.pubkey)).size };
+    },
+
+    applyModeration(action) {
+      if (moderationLog.some(a => a.id === action.id)) return;
+
+      // Move the scores of replies and reactions the action shows or hides
+      const { list } = ACTIONS[action.action];
+      const rescored = list === 'banned' ? events.filter(e => e.pubkey === action.target)
+        : list === 'hidden' ? [byId.get(action.target)].filter(Boolean) : [];
+      for (const event of rescored) updateScore(event, -1);
+      applyModerationAction(moderation, action);
+      for (const event of rescored) updateScore(event, 1);
+      moderationLog.push({ ...action, seq: moderationLog.length + 1 });
+    },
+
+    getModeration() {
+      const list = name => [...moderation[name]]
+        .map(([target, { reason, created_at }]) => ({ target, reason, created_at }))
+        .sort((a, b) => b.created_at - a.created_at);
+      return { mode: moderation.mode, banned: list('banned'), allowed: list('allowed'), hidden: list('hidden') };
+    },
+
+    getModerationActions({ before = Infinity, limit = 50 } = {}) {
+      const end = Math.min(before - 1, moderationLog.length);
+      return moderationLog.slice(Math.max(end - limit, 0), end).reverse();
+    },
+
+    getPeerState(url) {
+      return peers.get(url) || { url, cursor: 0, lastSyncAt: null, lastError: null, lastErrorAt: null };
+    },
+
+    savePeerState({ url, cursor, lastSyncAt, lastError, lastErrorAt }) {
+      peers.set(url, { url, cursor, lastSyncAt, lastError, lastErrorAt });
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,1045 @@
+/**
+ * SQLite storage backend (sql.js)
+ *
+ * The database lives in memory and is persisted as periodic snapshots to
+ * `<dataDir>/starpulse.db`, with a write-ahead log covering everything
+ * accepted since the last snapshot.
+ */
+
+import initSqlJs from 'sql.js';
+import { join } from 'path';
+import { mkdirSync, readFileSync, writeFileSync, existsSync, openSync, fsyncSync, closeSync, renameSync } from 'fs';
+import { open, rename } from 'fs/promises';
+import { openWal } from './wal.js';
+import { replaceableKey, versionQuery, supersedes, deletionTargets, reactionValue, KIND } from '../kinds.js';
+import { searchableText, bm25, compareResults, MAX_SEARCH_RESULTS } from '../search.js';
+import { scoreDelta, hotScore, RANKED_KINDS } from '../ranking.js';
+import { ACTIONS, DEFAULT_MODE } from '../moderation.js';
+
+// Snapshot the database every N seconds, or sooner once the WAL grows past this size
+const SNAPSHOT_INTERVAL_MS = (parseInt(process.env.STARPULSE_SNAPSHOT_INTERVAL) || 30) * 1000;
+const SNAPSHOT_WAL_BYTES = 4 * 1024 * 1024;
+
+export async function createSqliteStorage({ dataDir }) {
+  // Ensure data directory exists
+  mkdirSync(dataDir, { recursive: true });
+  
+  const dbPath = join(dataDir, 'starpulse.db');
+  const tmpPath = `${dbPath}.tmp`;
+  
+  const SQL = await initSqlJs();
+  
+  // Load existing database or create new
+  let db;
+  if (existsSync(dbPath)) {
+    const buffer = readFileSync(dbPath);
+    db = new SQL.Database(buffer);
+  } else {
+    db = new SQL.Database();
+  }
+  
+  createSchema(db);
+  migrate(db);
+  
+  const wal = openWal(dataDir, 'starpulse.wal');
+  let snapshotInFlight = null;
+  
+  // Snapshots are written to a temp file and renamed over the database, so the
+  // file on disk is always either the old or the new snapshot, never partial.
+  // The WAL is rotated in the same tick as the export, so every record in the
+  // sealed segments is contained in the snapshot and can be dropped afterwards.
+  function writeSnapshotSync() {
+    const sealed = wal.rotate();
+    const data = db.export();
+    
+    const fd = openSync(tmpPath, 'w');
+    try {
+      writeFileSync(fd, data);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmpPath, dbPath);
+    syncDir(dataDir);
+    
+    wal.removeThrough(sealed);
+  }
+  
+  // Only the file I/O runs in the background. sql.js can't export part of a
+  // database, or export from another thread, so db.export() serializes the
+  // whole database synchronously and blocks the event loop for as long as
+  // that takes (roughly proportional to the database size).
+  async function writeSnapshot() {
+    const sealed = wal.rotate();
+    const data = db.export();
+    
+    const file = await open(tmpPath, 'w');
+    try {
+      await file.writeFile(data);
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await rename(tmpPath, dbPath);
+    syncDir(dataDir);
+    
+    wal.removeThrough(sealed);
+  }
+  
+  // Take a background snapshot unless one is already running
+  function snapshot() {
+    if (!snapshotInFlight) {
+      snapshotInFlight = writeSnapshot()
+        .catch(err => console.error('Snapshot failed:', err))
+        .finally(() => { snapshotInFlight = null; });
+    }
+    return snapshotInFlight;
+  }
+  
+  // Append a record to the WAL, then apply it. Anything applied is durable.
+  function logAndApply(record) {
+    wal.append(record);
+    applyRecord(db, record);
+    if (wal.bytes >= SNAPSHOT_WAL_BYTES) snapshot();
+  }
+  
+  // Re-apply anything accepted after the last snapshot, then fold it in
+  const replayed = wal.replay(record => applyRecord(db, record));
+  if (replayed) console.log(`Replayed ${replayed} WAL record(s)`);
+  writeSnapshotSync();
+  
+  const snapshotTimer = setInterval(() => {
+    if (wal.bytes > 0) snapshot();
+  }, SNAPSHOT_INTERVAL_MS);
+  snapshotTimer.unref();
+  
+  console.log('Database initialized');
+  
+  return {
+    name: 'sqlite',
+    
+    insertEvent(event) {
+      if (isDeleted(db, event.id, event.pubkey) || isSuperseded(db, event)) return false;
+      logAndApply({ type: 'event', event });
+      return true;
+    },
+    
+    getEvents: filter => getEvents(db, filter),
+    
+    getEventById(id) {
+      const event = getEventById(db, id);
+      return event && isVisible(db, event) ? event : null;
+    },
+    
+    getAgentProfile: (pubkey, page) => getAgentProfile(db, pubkey, page),
+    getProfilesForPubkeys: pubkeys => getProfilesForPubkeys(db, pubkeys),
+    getReplyCounts: eventIds => getReplyCounts(db, eventIds),
+    getUpvoteCounts: eventIds => getUpvoteCounts(db, eventIds),
+    getReactionCounts: eventIds => getReactionCounts(db, eventIds),
+    getStats: () => getStats(db),
+    search: options => search(db, options),
+    getTagCounts: options => getTagCounts(db, options),
+    isDeleted: (id, pubkey) => isDeleted(db, id, pubkey),
+    getPeerState: url => getPeerState(db, url),
+    
+    savePeerState({ url, cursor, lastSyncAt, lastError, lastErrorAt }) {
+      logAndApply({ type: 'peer', peer: { url, cursor, lastSyncAt, lastError, lastErrorAt } });
+    },
+    
+    applyModeration(action) {
+      logAndApply({ type: 'moderation', action });
+    },
+    
+    getModeration: () => getModeration(db),
+    getModerationActions: options => getModerationActions(db, options),
+    
+    // Flush a final snapshot and close the WAL (call on shutdown)
+    async close() {
+      clearInterval(snapshotTimer);
+      if (snapshotInFlight) await snapshotInFlight;
+      if (wal.bytes > 0) writeSnapshotSync();
+      wal.close();
+    }
+  };
+}
+
+function createSchema(db) {
+  // Create events table
+  db.run(`
+    CREATE TABLE IF NOT EXISTS events (
+      id TEXT PRIMARY KEY,
+      pubkey TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      kind INTEGER NOT NULL,
+      content TEXT,
+      tags TEXT,
+      sig TEXT NOT NULL,
+      received_at INTEGER DEFAULT (strftime('%s', 'now'))
+    )
+  `);
+  
+  db.run('CREATE INDEX IF NOT EXISTS idx_events_pubkey ON events(pubkey)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_events_created_at ON events(created_at DESC)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_events_kind ON events(kind)');
+  
+  // Tag index: one row per (event, tag name, tag value) for direct tag lookups
+  db.run(`
+    CREATE TABLE IF NOT EXISTS event_tags (
+      event_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      value TEXT NOT NULL
+    )
+  `);
+  
+  db.run('CREATE INDEX IF NOT EXISTS idx_event_tags_name_value ON event_tags(name, value)');
+  db.run('CREATE INDEX IF NOT EXISTS idx_event_tags_event_id ON event_tags(event_id)');
+  
+  // Tombstones for deleted events, so a deleted id can't be re-submitted.
+  // Keyed by author too: only the author's own deletion counts.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS deletions (
+      event_id TEXT NOT NULL,
+      pubkey TEXT NOT NULL,
+      deletion_id TEXT NOT NULL,
+      PRIMARY KEY (event_id, pubkey)
+    )
+  `);
+  
+  // Full-text index over post content and profile names/bios. FTS rows are
+  // keyed by an integer docid, mapped to event ids in search_docs.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS search_docs (
+      docid INTEGER PRIMARY KEY,
+      event_id TEXT NOT NULL UNIQUE
+    )
+  `);
+  db.run('CREATE VIRTUAL TABLE IF NOT EXISTS event_search USING fts4(body, tokenize=unicode61)');
+  
+  // Ranking counters per post or reply (see ranking.js). Rows are kept by
+  // event id, so counts for events that haven't arrived yet aren't lost;
+  // `hot` is null until the event itself is stored.
+  db.run(`
+    CREATE TABLE IF NOT EXISTS event_scores (
+      event_id TEXT PRIMARY KEY,
+      upvotes INTEGER NOT NULL DEFAULT 0,
+      replies INTEGER NOT NULL DEFAULT 0,
+      hot REAL
+    )
+  `);
+  db.run('CREATE INDEX IF NOT EXISTS idx_event_scores_hot ON event_scores(hot DESC)');
+  
+  // Moderation (see moderation.js): every operator action, the lists they
+  // maintain ('banned', 'allowed' and 'hidden') and settings such as the mode
+  db.run(`
+    CREATE TABLE IF NOT EXISTS moderation_actions (
+      id TEXT PRIMARY KEY,
+      operator TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      target TEXT NOT NULL,
+      reason TEXT
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS moderation_lists (
+      list TEXT NOT NULL,
+      target TEXT NOT NULL,
+      reason TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (list, target)
+    )
+  `);
+  db.run(`
+    CREATE TABLE IF NOT EXISTS relay_settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    )
+  `);
+  
+  // Federation sync state, one row per upstream relay
+  db.run(`
+    CREATE TABLE IF NOT EXISTS peers (
+      url TEXT PRIMARY KEY,
+      cursor INTEGER NOT NULL DEFAULT 0,
+      last_sync_at INTEGER,
+      last_error TEXT,
+      last_error_at INTEGER
+    )
+  `);
+}
+
+// One-off data migrations, tracked with SQLite's user_version pragma
+function migrate(dbInstance) {
+  const version = dbInstance.exec('PRAGMA user_version')[0].values[0][0];
+  
+  if (version < 1) {
+    // Build the tag index for events stored before it existed
+    const stmt = dbInstance.prepare('SELECT id, tags FROM events');
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      indexTags(dbInstance, row.id, JSON.parse(row.tags || '[]'));
+    }
+    stmt.free();
+    dbInstance.run('PRAGMA user_version = 1');
+  }
+  
+  if (version < 3) {
+    // Profiles and other replaceable kinds (v2), then reactions per target
+    // (v3), used to keep every version; drop all but the winning version
+    const winners = new Map();
+    const losers = [];
+    const stmt = dbInstance.prepare('SELECT id, pubkey, created_at, kind, tags FROM events');
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      const event = { ...row, tags: JSON.parse(row.tags || '[]') };
+      const key = replaceableKey(event);
+      if (!key) continue;
+      
+      const current = winners.get(key);
+      if (!current) {
+        winners.set(key, event);
+      } else if (supersedes(event, current)) {
+        losers.push(current.id);
+        winners.set(key, event);
+      } else {
+        losers.push(event.id);
+      }
+    }
+    stmt.free();
+    
+    for (const id of losers) deleteEventRow(dbInstance, id);
+    if (losers.length) console.log(`Pruned ${losers.length} superseded replaceable event(s)`);
+    dbInstance.run('PRAGMA user_version = 3');
+  }
+  
+  if (version < 4) {
+    // Build the full-text index for events stored before it existed
+    const stmt = dbInstance.prepare('SELECT id, kind, content FROM events WHERE kind IN (?, ?, ?)');
+    stmt.bind([KIND.POST, KIND.REPLY, KIND.PROFILE]);
+    while (stmt.step()) indexSearch(dbInstance, stmt.getAsObject());
+    stmt.free();
+    dbInstance.run('PRAGMA user_version = 4');
+  }
+  
+  if (version < 5) {
+    // Count upvotes and replies for events stored before the counters existed
+    dbInstance.run('DELETE FROM event_scores');
+    const stmt = dbInstance.prepare('SELECT id, created_at, kind, content, tags FROM events WHERE kind IN (?, ?, ?)');
+    stmt.bind([...RANKED_KINDS, KIND.REACTION]);
+    while (stmt.step()) {
+      const row = stmt.getAsObject();
+      const event = { ...row, tags: JSON.parse(row.tags || '[]') };
+      if (RANKED_KINDS.includes(event.kind)) addScoreRow(dbInstance, event.id);
+      updateScore(dbInstance, event, 1);
+    }
+    stmt.free();
+    
+    const rows = dbInstance.exec(`
+      SELECT s.event_id, s.upvotes, s.replies, e.created_at
+      FROM event_scores s JOIN events e ON e.id = s.event_id
+    `)[0]?.values || [];
+    for (const [id, upvotes, replies, createdAt] of rows) {
+      dbInstance.run('UPDATE event_scores SET hot = ? WHERE event_id = ?', [hotScore(createdAt, { upvotes, replies }), id]);
+    }
+    dbInstance.run('PRAGMA user_version = 5');
+  }
+}
+
+function indexTags(dbInstance, eventId, tags) {
+  dbInstance.run('DELETE FROM event_tags WHERE event_id = ?', [eventId]);
+  
+  for (const tag of tags) {
+    if (!Array.isArray(tag) || typeof tag[0] !== 'string' || typeof tag[1] !== 'string') continue;
+    dbInstance.run('INSERT INTO event_tags (event_id, name, value) VALUES (?, ?, ?)', [eventId, tag[0], tag[1]]);
+  }
+}
+
+function unindexSearch(dbInstance, eventId) {
+  dbInstance.run('DELETE FROM event_search WHERE docid IN (SELECT docid FROM search_docs WHERE event_id = ?)', [eventId]);
+  dbInstance.run('DELETE FROM search_docs WHERE event_id = ?', [eventId]);
+}
+
+function indexSearch(dbInstance, event) {
+  unindexSearch(dbInstance, event.id);
+  
+  const text = searchableText(event);
+  if (text === null) return;
+  
+  dbInstance.run('INSERT INTO search_docs (event_id) VALUES (?)', [event.id]);
+  const docid = dbInstance.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  dbInstance.run('INSERT INTO event_search (docid, body) VALUES (?, ?)', [docid, text]);
+}
+
+function addScoreRow(dbInstance, eventId) {
+  dbInstance.run('INSERT OR IGNORE INTO event_scores (event_id) VALUES (?)', [eventId]);
+}
+
+// Recompute an event's hot score from its counters (left null while the
+// event isn't stored)
+function refreshHot(dbInstance, eventId) {
+  const stmt = dbInstance.prepare(`
+    SELECT s.upvotes, s.replies, e.created_at
+    FROM event_scores s JOIN events e ON e.id = s.event_id
+    WHERE s.event_id = ?
+  `);
+  stmt.bind([eventId]);
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  
+  if (row) {
+    dbInstance.run('UPDATE event_scores SET hot = ? WHERE event_id = ?', [hotScore(row.created_at, row), eventId]);
+  }
+}
+
+// Count a reply or upvote towards its target (sign 1) or take it back (-1).
+// Only visible events count; the row must be stored when this runs.
+function updateScore(dbInstance, event, sign) {
+  const delta = scoreDelta(event);
+  if (!delta || !isVisible(dbInstance, event)) return;
+  
+  addScoreRow(dbInstance, delta.target);
+  dbInstance.run(
+    'UPDATE event_scores SET upvotes = upvotes + ?, replies = replies + ? WHERE event_id = ?',
+    [sign * delta.upvotes, sign * delta.replies, delta.target]
+  );
+  return delta.target;
+}
+
+// fsync a directory so a rename inside it is durable
+function syncDir(dir) {
+  const fd = openSync(dir, 'r');
+  try {
+    fsyncSync(fd);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function applyRecord(dbInstance, record) {
+  switch (record.type) {
+    case 'event':
+      return applyEvent(dbInstance, record.event);
+    case 'peer':
+      return applyPeerState(dbInstance, record.peer);
+    case 'moderation':
+      return applyModeration(dbInstance, record.action);
+    default:
+      console.error('Unknown WAL record type:', record.type);
+  }
+}
+
+// Other stored versions of a replaceable event (same replaceable key)
+function otherVersions(dbInstance, event) {
+  const key = replaceableKey(event);
+  if (!key) return [];
+  
+  return getEvents(dbInstance, { ...versionQuery(event), includeHidden: true, limit: 1000 })
+    .filter(e => e.id !== event.id && replaceableKey(e) === key);
+}
+
+function isSuperseded(dbInstance, event) {
+  return otherVersions(dbInstance, event).some(e => !supersedes(event, e));
+}
+
+function isDeleted(dbInstance, id, pubkey) {
+  const stmt = dbInstance.prepare('SELECT 1 FROM deletions WHERE event_id = ? AND pubkey = ?');
+  stmt.bind([id, pubkey]);
+  const found = stmt.step();
+  stmt.free();
+  return found;
+}
+
+// Tombstone every target of a deletion event and remove the ones its author
+// wrote. Targets we haven't seen yet stay tombstoned for when they arrive.
+function applyDeletion(dbInstance, deletion) {
+  for (const id of deletionTargets(deletion)) {
+    dbInstance.run(
+      'INSERT OR IGNORE INTO deletions (event_id, pubkey, deletion_id) VALUES (?, ?, ?)',
+      [id, deletion.pubkey, deletion.id]
+    );
+    
+    const target = getEventById(dbInstance, id);
+    if (target && target.pubkey === deletion.pubkey && target.kind !== KIND.DELETION) {
+      deleteEventRow(dbInstance, id);
+    }
+  }
+}
+
+function deleteEventRow(dbInstance, id) {
+  const event = getEventById(dbInstance, id);
+  if (!event) return;
+  
+  const target = updateScore(dbInstance, event, -1);
+  if (target) refreshHot(dbInstance, target);
+  
+  dbInstance.run('DELETE FROM events WHERE id = ?', [id]);
+  dbInstance.run('DELETE FROM event_tags WHERE event_id = ?', [id]);
+  unindexSearch(dbInstance, id);
+}
+
+// Store an event, replacing older versions of it (or removing the events it
+// deletes) in the same transaction so readers never see a half-applied state
+function applyEvent(dbInstance, event) {
+  if (isDeleted(dbInstance, event.id, event.pubkey) || isSuperseded(dbInstance, event)) return;
+  
+  dbInstance.run('BEGIN');
+  try {
+    for (const old of otherVersions(dbInstance, event)) {
+      deleteEventRow(dbInstance, old.id);
+    }
+    
+    applyDeletion(dbInstance, event);
+    
+    // Only count an event once, even if it is applied again (WAL replay)
+    const isNew = !getEventById(dbInstance, event.id);
+    
+    dbInstance.run(`
+      INSERT OR REPLACE INTO events (id, pubkey, created_at, kind, content, tags, sig)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      event.id,
+      event.pubkey,
+      event.created_at,
+      event.kind,
+      event.content || '',
+      JSON.stringify(event.tags || []),
+      event.sig
+    ]);
+    
+    indexTags(dbInstance, event.id, event.tags || []);
+    indexSearch(dbInstance, event);
+    
+    if (RANKED_KINDS.includes(event.kind)) {
+      addScoreRow(dbInstance, event.id);
+      refreshHot(dbInstance, event.id);
+    }
+    const target = isNew && updateScore(dbInstance, event, 1);
+    if (target) refreshHot(dbInstance, target);
+    dbInstance.run('COMMIT');
+  } catch (err) {
+    dbInstance.run('ROLLBACK');
+    throw err;
+  }
+}
+
+function getEvents(dbInstance, { ids, author, authors, since, until, before, after, kind, kinds, tags, exclude, order = 'desc', sort = 'new', offset = 0, limit = 50, includeHidden = false }) {
+  const ranked = sort === 'hot' || sort === 'top';
+  let query = ranked
+    ? `SELECT events.* FROM events JOIN event_scores s ON s.event_id = events.id
+       WHERE kind IN (${RANKED_KINDS.map(() => '?').join(', ')})`
+    : 'SELECT * FROM events WHERE 1=1';
+  const params = ranked ? [...RANKED_KINDS] : [];
+  
+  if (ids) {
+    query += ` AND id IN (${ids.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...ids);
+  }
+  
+  if (author) {
+    query += ' AND pubkey = ?';
+    params.push(author);
+  }
+  
+  if (authors) {
+    query += ` AND pubkey IN (${authors.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...authors);
+  }
+  
+  if (since) {
+    query += ' AND created_at >= ?';
+    params.push(since);
+  }
+  
+  if (until) {
+    query += ' AND created_at <= ?';
+    params.push(until);
+  }
+  
+  // Cursor positions: strictly older than `before`, strictly newer than `after`
+  if (before) {
+    query += ' AND (created_at < ? OR (created_at = ? AND id < ?))';
+    params.push(before.created_at, before.created_at, before.id);
+  }
+  
+  if (after) {
+    query += ' AND (created_at > ? OR (created_at = ? AND id > ?))';
+    params.push(after.created_at, after.created_at, after.id);
+  }
+  
+  if (kind !== undefined) {
+    query += ' AND kind = ?';
+    params.push(kind);
+  }
+  
+  if (kinds) {
+    query += ` AND kind IN (${kinds.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...kinds);
+  }
+  
+  // Tag filters: { reply_to: ['<id>'], target: ['<id>'] }
+  for (const [name, values] of Object.entries(tags || {})) {
+    query += ` AND id IN (
+      SELECT event_id FROM event_tags
+      WHERE name = ? AND value IN (${values.map(() => '?').join(', ') || 'NULL'})
+    )`;
+    params.push(name, ...values);
+  }
+  
+  // Events and authors the reader asked not to see
+  if (exclude?.ids?.length) {
+    query += ` AND id NOT IN (${exclude.ids.map(() => '?').join(', ')})`;
+    params.push(...exclude.ids);
+  }
+  
+  if (exclude?.authors?.length) {
+    query += ` AND pubkey NOT IN (${exclude.authors.map(() => '?').join(', ')})`;
+    params.push(...exclude.authors);
+  }
+  
+  if (exclude?.kinds?.length) {
+    query += ` AND kind NOT IN (${exclude.kinds.map(() => '?').join(', ')})`;
+    params.push(...exclude.kinds);
+  }
+  
+  if (exclude?.threads?.length) {
+    const marks = exclude.threads.map(() => '?').join(', ');
+    query += ` AND id NOT IN (${marks}) AND id NOT IN (
+      SELECT event_id FROM event_tags WHERE name IN ('root', 'reply_to') AND value IN (${marks})
+    )`;
+    params.push(...exclude.threads, ...exclude.threads);
+  }
+  
+  // Words match through the search index, so they tokenize the same way
+  // as in memory (tokens are letters and digits, safe to quote)
+  if (exclude?.words?.length) {
+    query += ` AND id NOT IN (
+      SELECT d.event_id FROM event_search JOIN search_docs d ON d.docid = event_search.docid
+      WHERE event_search MATCH ?
+    )`;
+    params.push(exclude.words.map(tokens => `"${tokens.join(' ')}"`).join(' OR '));
+  }
+  
+  if (!includeHidden) {
+    query += ` AND ${visibleClause()}`;
+  }
+  
+  if (sort === 'hot') {
+    query += ' ORDER BY s.hot DESC, id DESC LIMIT ? OFFSET ?';
+  } else if (sort === 'top') {
+    query += ' ORDER BY s.upvotes DESC, s.replies DESC, created_at DESC, id DESC LIMIT ? OFFSET ?';
+  } else {
+    query += order === 'asc'
+      ? ' ORDER BY created_at ASC, id ASC LIMIT ?'
+      : ' ORDER BY created_at DESC, id DESC LIMIT ?';
+  }
+  params.push(limit);
+  if (ranked) params.push(offset);
+  
+  const stmt = dbInstance.prepare(query);
+  stmt.bind(params);
+  
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  
+  return rows.map(row => ({
+    id: row.id,
+    pubkey: row.pubkey,
+    created_at: row.created_at,
+    kind: row.kind,
+    content: row.content,
+    tags: JSON.parse(row.tags),
+    sig: row.sig
+  }));
+}
+
+function getEventById(dbInstance, id) {
+  const stmt = dbInstance.prepare('SELECT * FROM events WHERE id = ?');
+  stmt.bind([id]);
+  
+  if (!stmt.step()) {
+    stmt.free();
+    return null;
+  }
+  
+  const row = stmt.getAsObject();
+  stmt.free();
+  
+  return {
+    id: row.id,
+    pubkey: row.pubkey,
+    created_at: row.created_at,
+    kind: row.kind,
+    content: row.content,
+    tags: JSON.parse(row.tags),
+    sig: row.sig
+  };
+}
+
+function getAgentProfile(dbInstance, pubkey, page = {}) {
+  // Get profile event (kind 5) if exists
+  const profileStmt = dbInstance.prepare(
+    `SELECT * FROM events WHERE pubkey = ? AND kind = 5 AND ${visibleClause()}`
+  );
+  profileStmt.bind([pubkey]);
+  
+  let profile = null;
+  if (profileStmt.step()) {
+    const profileRow = profileStmt.getAsObject();
+    try {
+      profile = JSON.parse(profileRow.content);
+    } catch (e) {
+      profile = { bio: profileRow.content };
+    }
+  }
+  profileStmt.free();
+  
+  // Get stats
+  const postStmt = dbInstance.prepare(
+    `SELECT COUNT(*) as count FROM events WHERE pubkey = ? AND kind IN (1, 2) AND ${visibleClause()}`
+  );
+  postStmt.bind([pubkey]);
+  postStmt.step();
+  const postCount = postStmt.getAsObject().count;
+  postStmt.free();
+  
+  const upvoteStmt = dbInstance.prepare(
+    `SELECT COUNT(*) as count FROM events WHERE pubkey = ? AND kind = ? AND ${visibleClause()}`
+  );
+  upvoteStmt.bind([pubkey, KIND.REACTION]);
+  upvoteStmt.step();
+  const upvoteCount = upvoteStmt.getAsObject().count;
+  upvoteStmt.free();
+  
+  // Get recent posts (or the page of them asked for)
+  const posts = getEvents(dbInstance, { limit: 20, ...page, author: pubkey, kind: 1 });
+  
+  return {
+    pubkey,
+    profile,
+    stats: {
+      posts: postCount,
+      upvotes: upvoteCount
+    },
+    recentPosts: posts
+  };
+}
+
+// Full-text search ranked with BM25 from FTS4's matchinfo ('pcnalx':
+// phrase and column counts, total docs, average and row length, then per
+// phrase hits in this row, hits in all rows and rows with hits)
+function search(dbInstance, { phrases, author, kinds, limit = MAX_SEARCH_RESULTS }) {
+  if (!phrases.length) return [];
+  
+  const match = phrases.map(tokens => `"${tokens.join(' ')}"`).join(' ');
+  let query = `
+    SELECT e.*, matchinfo(event_search, 'pcnalx') AS info
+    FROM event_search
+    JOIN search_docs d ON d.docid = event_search.docid
+    JOIN events e ON e.id = d.event_id
+    WHERE event_search MATCH ? AND ${visibleClause('e')}
+  `;
+  const params = [match];
+  
+  if (author) {
+    query += ' AND e.pubkey = ?';
+    params.push(author);
+  }
+  
+  if (kinds) {
+    query += ` AND e.kind IN (${kinds.map(() => '?').join(', ') || 'NULL'})`;
+    params.push(...kinds);
+  }
+  
+  const stmt = dbInstance.prepare(query);
+  stmt.bind(params);
+  
+  const results = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    const info = new Uint32Array(row.info.buffer.slice(row.info.byteOffset, row.info.byteOffset + row.info.byteLength));
+    const phraseCount = info[0];
+    
+    results.push({
+      event: {
+        id: row.id,
+        pubkey: row.pubkey,
+        created_at: row.created_at,
+        kind: row.kind,
+        content: row.content,
+        tags: JSON.parse(row.tags),
+        sig: row.sig
+      },
+      score: bm25({
+        hits: Array.from({ length: phraseCount }, (_, i) => info[5 + 3 * i]),
+        docHits: Array.from({ length: phraseCount }, (_, i) => info[5 + 3 * i + 2]),
+        totalDocs: info[2],
+        length: info[4],
+        avgLength: info[3]
+      })
+    });
+  }
+  stmt.free();
+  
+  return results.sort(compareResults).slice(0, limit);
+}
+
+// Most used values of one tag name among recent events, ranked by how many
+// distinct authors used them, then by how many events
+function getTagCounts(dbInstance, { name, kinds, since = 0, limit = 20 }) {
+  const stmt = dbInstance.prepare(`
+    SELECT t.value AS value, COUNT(DISTINCT e.id) AS events, COUNT(DISTINCT e.pubkey) AS authors
+    FROM event_tags t
+    JOIN events e ON e.id = t.event_id
+    WHERE t.name = ? AND e.created_at >= ? AND e.kind IN (${kinds.map(() => '?').join(', ') || 'NULL'})
+      AND ${visibleClause('e')}
+    GROUP BY t.value
+    ORDER BY authors DESC, events DESC, value ASC
+    LIMIT ?
+  `);
+  stmt.bind([name, since, ...kinds, limit]);
+  
+  const counts = [];
+  while (stmt.step()) counts.push(stmt.getAsObject());
+  stmt.free();
+  return counts;
+}
+
+function getStats(dbInstance) {
+  const eventsStmt = dbInstance.prepare(`SELECT COUNT(*) as count FROM events WHERE ${visibleClause()}`);
+  eventsStmt.step();
+  const totalEvents = eventsStmt.getAsObject().count;
+  eventsStmt.free();
+  
+  const agentsStmt = dbInstance.prepare(`SELECT COUNT(DISTINCT pubkey) as count FROM events WHERE ${visibleClause()}`);
+  agentsStmt.step();
+  const totalAgents = agentsStmt.getAsObject().count;
+  agentsStmt.free();
+  
+  return { totalEvents, totalAgents };
+}
+
+// Profiles are replaceable, so there is at most one kind 5 event per pubkey
+function getProfilesForPubkeys(dbInstance, pubkeys) {
+  if (!pubkeys.length) return {};
+  
+  const profiles = {};
+  
+  const stmt = dbInstance.prepare(
+    `SELECT pubkey, content FROM events WHERE kind = 5 AND pubkey IN (${pubkeys.map(() => '?').join(', ')}) AND ${visibleClause()}`
+  );
+  stmt.bind(pubkeys);
+  
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    try {
+      profiles[row.pubkey] = JSON.parse(row.content);
+    } catch (e) {
+      profiles[row.pubkey] = null;
+    }
+  }
+  stmt.free();
+  
+  return profiles;
+}
+
+// Count events of `kind` whose `tagName` tag points at each of `eventIds`
+function countTagged(dbInstance, kind, tagName, eventIds) {
+  if (!eventIds.length) return {};
+  
+  const counts = {};
+  for (const id of eventIds) counts[id] = 0;
+  
+  const stmt = dbInstance.prepare(`
+    SELECT t.value AS target, COUNT(DISTINCT t.event_id) AS count
+    FROM event_tags t
+    JOIN events e ON e.id = t.event_id
+    WHERE t.name = ? AND e.kind = ? AND t.value IN (${eventIds.map(() => '?').join(', ')})
+      AND ${visibleClause('e')}
+    GROUP BY t.value
+  `);
+  stmt.bind([tagName, kind, ...eventIds]);
+  
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    counts[row.target] = row.count;
+  }
+  stmt.free();
+  
+  return counts;
+}
+
+function getReplyCounts(dbInstance, eventIds) {
+  return countTagged(dbInstance, KIND.REPLY, 'reply_to', eventIds);
+}
+
+// Upvotes are '+' reactions ('' from older clients)
+function getUpvoteCounts(dbInstance, eventIds) {
+  const counts = {};
+  const reactions = getReactionCounts(dbInstance, eventIds);
+  for (const id of eventIds) counts[id] = reactions[id]['+'] || 0;
+  return counts;
+}
+
+// Tally of each reaction value per event: { [id]: { '+': 3, '-': 1, '🔥': 2 } }
+function getReactionCounts(dbInstance, eventIds) {
+  if (!eventIds.length) return {};
+  
+  const counts = {};
+  for (const id of eventIds) counts[id] = {};
+  
+  const stmt = dbInstance.prepare(`
+    SELECT t.value AS target, e.content AS content, COUNT(*) AS count
+    FROM event_tags t
+    JOIN events e ON e.id = t.event_id
+    WHERE t.name = 'target' AND e.kind = ? AND t.value IN (${eventIds.map(() => '?').join(', ')})
+      AND ${visibleClause('e')}
+    GROUP BY t.value, e.content
+  `);
+  stmt.bind([KIND.REACTION, ...eventIds]);
+  
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    const value = reactionValue(row.content);
+    counts[row.target][value] = (counts[row.target][value] || 0) + row.count;
+  }
+  stmt.free();
+  
+  return counts;
+}
+
+function getPeerState(dbInstance, url) {
+  const stmt = dbInstance.prepare('SELECT * FROM peers WHERE url = ?');
+  stmt.bind([url]);
+  
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  
+  return {
+    url,
+    cursor: row?.cursor ?? 0,
+    lastSyncAt: row?.last_sync_at ?? null,
+    lastError: row?.last_error ?? null,
+    lastErrorAt: row?.last_error_at ?? null
+  };
+}
+
+function applyPeerState(dbInstance, { url, cursor, lastSyncAt, lastError, lastErrorAt }) {
+  dbInstance.run(`
+    INSERT OR REPLACE INTO peers (url, cursor, last_sync_at, last_error, last_error_at)
+    VALUES (?, ?, ?, ?, ?)
+  `, [url, cursor, lastSyncAt, lastError, lastErrorAt]);
+}
+
+// The relay mode, as last set by the operator
+function getMode(dbInstance) {
+  const row = dbInstance.exec("SELECT value FROM relay_settings WHERE key = 'mode'")[0];
+  return row ? row.values[0][0] : DEFAULT_MODE;
+}
+
+// SQL condition leaving out hidden events and banned authors' events;
+// `table` names the events table in the query
+function visibleClause(table = 'events') {
+  return `${table}.id NOT IN (SELECT target FROM moderation_lists WHERE list = 'hidden')` +
+    ` AND ${table}.pubkey NOT IN (SELECT target FROM moderation_lists WHERE list = 'banned')`;
+}
+
+function isVisible(dbInstance, event) {
+  const stmt = dbInstance.prepare(`SELECT 1 FROM events WHERE id = ? AND ${visibleClause()}`);
+  stmt.bind([event.id]);
+  const found = stmt.step();
+  stmt.free();
+  return found;
+}
+
+// Stored replies and reactions that banning `target` or hiding it (per
+// `list`) shows or hides, so their scores can be moved with them
+function moderatedScoreEvents(dbInstance, list, target) {
+  if (list !== 'banned' && list !== 'hidden') return [];
+  
+  const column = list === 'banned' ? 'pubkey' : 'id';
+  const stmt = dbInstance.prepare(`SELECT id, pubkey, kind, content, tags FROM events WHERE ${column} = ? AND kind IN (?, ?)`);
+  stmt.bind([target, KIND.REPLY, KIND.REACTION]);
+  
+  const events = [];
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    events.push({ ...row, tags: JSON.parse(row.tags || '[]') });
+  }
+  stmt.free();
+  return events;
+}
+
+// Log an operator action and apply it to the lists or the mode. Applying the
+// same action twice (WAL replay) changes nothing.
+function applyModeration(dbInstance, { id, operator, created_at, action, target, reason }) {
+  const existing = dbInstance.exec('SELECT 1 FROM moderation_actions WHERE id = ?', [id])[0];
+  if (existing) return;
+  
+  dbInstance.run('BEGIN');
+  try {
+    dbInstance.run(
+      'INSERT INTO moderation_actions (id, operator, created_at, action, target, reason) VALUES (?, ?, ?, ?, ?, ?)',
+      [id, operator, created_at, action, target, reason]
+    );
+    
+    // Take back the scores of everything the action touches, then count
+    // whatever is still visible afterwards
+    const { list, add } = ACTIONS[action];
+    const rescored = moderatedScoreEvents(dbInstance, list, target);
+    for (const event of rescored) updateScore(dbInstance, event, -1);
+    
+    if (!list) {
+      dbInstance.run("INSERT OR REPLACE INTO relay_settings (key, value) VALUES ('mode', ?)", [target]);
+    } else if (add) {
+      dbInstance.run(
+        'INSERT OR REPLACE INTO moderation_lists (list, target, reason, created_at) VALUES (?, ?, ?, ?)',
+        [list, target, reason, created_at]
+      );
+    } else {
+      dbInstance.run('DELETE FROM moderation_lists WHERE list = ? AND target = ?', [list, target]);
+    }
+    
+    for (const event of rescored) updateScore(dbInstance, event, 1);
+    const targets = new Set(rescored.map(event => scoreDelta(event)?.target).filter(Boolean));
+    for (const scored of targets) refreshHot(dbInstance, scored);
+    dbInstance.run('COMMIT');
+  } catch (err) {
+    dbInstance.run('ROLLBACK');
+    throw err;
+  }
+}
+
+function getModeration(dbInstance) {
+  const lists = { banned: [], allowed: [], hidden: [] };
+  const stmt = dbInstance.prepare('SELECT * FROM moderation_lists ORDER BY created_at DESC');
+  while (stmt.step()) {
+    const { list, target, reason, created_at } = stmt.getAsObject();
+    lists[list]?.push({ target, reason, created_at });
+  }
+  stmt.free();
+  
+  return { mode: getMode(dbInstance), ...lists };
+}
+
+// Operator actions, latest first, numbered by `seq` in the order they were
+// applied (the rowid, which WAL replay reproduces); only those before `before`
+function getModerationActions(dbInstance, { before, limit = 50 } = {}) {
+  let query = 'SELECT rowid AS seq, * FROM moderation_actions';
+  const params = [];
+  if (before) {
+    query += ' WHERE rowid < ?';
+    params.push(before);
+  }
+  query += ' ORDER BY rowid DESC LIMIT ?';
+  params.push(limit);
+  
+  const stmt = dbInstance.prepare(query);
+  stmt.bind(params);
+  const actions = [];
+  while (stmt.step()) actions.push(stmt.getAsObject());
+  stmt.free();
+  return actions;
+}
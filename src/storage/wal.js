@@ -0,0 +1,85 @@
+/**
+ * Write-ahead log
+ *
+ * Records are appended as JSON lines to numbered segment files
+ * (`<prefix>.1`, `<prefix>.2`, ...) and fsynced before the append returns,
+ * so an acknowledged write survives a crash. When a snapshot is taken the
+ * log is rotated to a fresh segment; once the snapshot is safely on disk the
+ * sealed segments can be removed.
+ */
+
+import { openSync, writeSync, fdatasyncSync, closeSync, readdirSync, readFileSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+export function openWal(dir, prefix) {
+  const listSegments = () => readdirSync(dir)
+    .filter(name => name.startsWith(`${prefix}.`))
+    .map(name => Number(name.slice(prefix.length + 1)))
+    .filter(Number.isInteger)
+    .sort((a, b) => a - b);
+
+  const segmentPath = seq => join(dir, `${prefix}.${seq}`);
+
+  const existing = listSegments();
+  let seq = existing.length ? existing[existing.length - 1] + 1 : 1;
+  let fd = openSync(segmentPath(seq), 'a');
+  let bytes = 0;
+
+  return {
+    // Bytes appended to the current segment
+    get bytes() {
+      return bytes;
+    },
+
+    append(record) {
+      const line = Buffer.from(JSON.stringify(record) + '\n');
+      writeSync(fd, line);
+      fdatasyncSync(fd);
+      bytes += line.length;
+    },
+
+    // Read every record in segments older than the current one, in order.
+    // A torn final line from a crash mid-append is ignored.
+    replay(apply) {
+      let count = 0;
+      for (const n of listSegments()) {
+        if (n >= seq) continue;
+        const lines = readFileSync(segmentPath(n), 'utf8').split('\n');
+        for (const line of lines) {
+          if (!line) continue;
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch (e) {
+            console.error(`Skipping corrupt WAL record in ${prefix}.${n}`);
+            continue;
+          }
+          apply(record);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    // Start a new segment; returns the sequence number of the sealed one
+    rotate() {
+      closeSync(fd);
+      const sealed = seq;
+      seq++;
+      fd = openSync(segmentPath(seq), 'a');
+      bytes = 0;
+      return sealed;
+    },
+
+    // Delete sealed segments up to and including `through`
+    removeThrough(through) {
+      for (const n of listSegments()) {
+        if (n <= through) unlinkSync(segmentPath(n));
+      }
+    },
+
+    close() {
+      closeSync(fd);
+    }
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Conversation threads
+ *
+ * A reply (kind 2) points at its immediate parent with one
+ * `["reply_to", "<id>"]` tag and at the post that started the conversation
+ * with one `["root", "<id>"]` tag. Replies from older clients only carry
+ * `reply_to`; their root is found by walking up the parents.
+ */
+
+import { KIND } from './kinds.js';
+import { encodeCursor } from './cursors.js';
+
+export const DEFAULT_THREAD_DEPTH = 10;
+export const MAX_THREAD_DEPTH = 50;
+export const DEFAULT_BRANCH_LIMIT = 20;
+export const MAX_BRANCH_LIMIT = 100;
+
+const MAX_THREAD_NODES = 1000;
+const MAX_CHILDREN = 500;
+
+// Value of the first tag with this name, or null
+function tagValue(event, name) {
+  const tag = (event.tags || []).find(t => t[0] === name);
+  return typeof tag?.[1] === 'string' ? tag[1] : null;
+}
+
+export const replyParent = event => (event.kind === KIND.REPLY ? tagValue(event, 'reply_to') : null);
+
+/**
+ * Id of the event a conversation started from. Uses the `root` tag when
+ * present, otherwise follows `reply_to` up as far as stored events go.
+ */
+export function threadRoot(storage, event) {
+  if (event.kind !== KIND.REPLY) return event.id;
+
+  const root = tagValue(event, 'root');
+  if (root) return root;
+
+  const seen = new Set([event.id]);
+  let current = event;
+  while (current.kind === KIND.REPLY) {
+    const parentId = replyParent(current);
+    if (!parentId || seen.has(parentId)) break;
+    seen.add(parentId);
+
+    const parent = storage.getEventById(parentId);
+    if (!parent) return parentId;
+
+    const parentRoot = tagValue(parent, 'root');
+    if (parent.kind === KIND.REPLY && parentRoot) return parentRoot;
+    current = parent;
+  }
+  return current.id;
+}
+
+// Direct replies to an event, oldest first so conversations read in order
+function getChildren(storage, id, after, exclude) {
+  return storage.getEvents({ kind: KIND.REPLY, tags: { reply_to: [id] }, after, exclude, order: 'asc', limit: MAX_CHILDREN });
+}
+
+/**
+ * Build the reply tree under `event`, breadth first.
+ *
+ * Every node is { event, depth, replyCount, moreReplies, moreCursor,
+ * replies }. Nodes at `depth` levels below the top, or past `limit`
+ * children of their parent, are left out and counted in `moreReplies`;
+ * fetch them by asking for the thread of that node, passing `moreCursor`
+ * as `after` to continue after the replies already shown. `after` (a cursor
+ * position) only applies to replies of the top node. Replies matching
+ * `exclude` (a storage exclusion) are left out along with their replies.
+ */
+export function buildThread(storage, event, { depth = DEFAULT_THREAD_DEPTH, limit = DEFAULT_BRANCH_LIMIT, after, exclude } = {}) {
+  const top = { event, depth: 0, replies: [] };
+  const nodes = [top];
+  let frontier = [top];
+  const unshown = new Map(); // expanded node -> replies left out
+
+  for (let level = 1; level <= depth && frontier.length; level++) {
+    const next = [];
+    for (const node of frontier) {
+      const children = getChildren(storage, node.event.id, node === top ? after : undefined, exclude);
+      for (const child of children.slice(0, limit)) {
+        if (nodes.length >= MAX_THREAD_NODES) break;
+        const childNode = { event: child, depth: level, replies: [] };
+        node.replies.push(childNode);
+        nodes.push(childNode);
+        next.push(childNode);
+      }
+      unshown.set(node, children.length - node.replies.length);
+    }
+    frontier = next;
+  }
+
+  // Nodes that were never expanded (past the depth limit) hide all replies
+  const replyCounts = storage.getReplyCounts(nodes.map(n => n.event.id));
+  for (const node of nodes) {
+    node.replyCount = replyCounts[node.event.id] || 0;
+    node.moreReplies = unshown.get(node) ?? node.replyCount;
+    node.moreCursor = node.moreReplies && node.replies.length
+      ? encodeCursor(node.replies[node.replies.length - 1].event)
+      : null;
+  }
+
+  return { tree: top, nodes };
+}
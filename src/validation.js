@@ -0,0 +1,109 @@
+/**
+ * Event validation
+ *
+ * Checks the shape of a submitted event before anything is hashed or
+ * verified, so a malformed field is reported as such instead of surfacing
+ * as a signature mismatch. Every rejection carries a stable `reason` code
+ * from REJECTION_REASONS; clients should branch on the code, not the
+ * message.
+ */
+
+// Every reason an event can be refused for, and `duplicate`, which is
+// reported on an accepted event that was already stored
+export const REJECTION_REASONS = {
+  invalid_event: 'The event is not a JSON object',
+  missing_fields: 'A required field (pubkey, created_at, kind, sig) is missing',
+  invalid_id: 'id is not 64 lowercase hex characters',
+  invalid_pubkey: 'pubkey is not 64 lowercase hex characters',
+  invalid_sig: 'sig is not 128 lowercase hex characters',
+  invalid_kind: 'kind is not an integer between 0 and 65535',
+  invalid_created_at: 'created_at is not a non-negative integer (unix seconds)',
+  invalid_content: 'content is not a string, or breaks the content schema for its kind',
+  invalid_tags: 'tags is not an array of non-empty arrays of strings',
+  id_mismatch: 'id is not the hash of the event',
+  bad_signature: 'sig is not a valid signature of the id by pubkey',
+  kind_not_allowed: 'The relay does not accept this kind',
+  created_at_too_new: 'created_at is too far in the future',
+  created_at_too_old: 'created_at is too far in the past',
+  content_too_long: 'content is larger than the relay allows',
+  too_many_tags: 'The event has more tags than the relay allows',
+  tag_too_long: 'A tag element is larger than the relay allows',
+  deleted: 'The author deleted this event',
+  banned: 'The relay operator banned this pubkey',
+  not_allowed: 'The relay only accepts allow-listed pubkeys',
+  hidden: 'The relay operator removed this event',
+  superseded: 'A newer version of this replaceable event is stored',
+  invalid_reaction: 'A reaction needs exactly one target tag',
+  invalid_reply: 'A reply needs exactly one reply_to tag and at most one root tag',
+  invalid_message: 'A direct message needs a to tag and sealed content',
+  invalid_deletion: 'A deletion needs at least one delete tag',
+  invalid_label: 'A label needs label tags and at least one event or pubkey to label',
+  invalid_mute_list: 'A mute list names pubkeys, thread root ids or words in malformed tags',
+  invalid_delegation: 'A delegation needs one delegate pubkey, its kinds and a since/until window',
+  invalid_revocation: 'A revocation needs at least one revoke tag with a sub-key pubkey',
+  invalid_rotation: 'A key rotation needs the new pubkey and its proof, and a key not yet rotated',
+  not_delegated: 'The signer tag names a key with no live delegation for this kind and time',
+  key_rotated: 'The pubkey was rotated to a new key and no longer publishes',
+  not_author: 'A deletion may only remove its author\'s events',
+  rate_limited: 'The pubkey or address sent too many events; retry after details.retryAfter seconds',
+  duplicate: 'The event was already stored (accepted)',
+  error: 'The relay failed to process the event'
+};
+
+const HEX_64 = /^[0-9a-f]{64}$/;
+const HEX_128 = /^[0-9a-f]{128}$/;
+const MAX_KIND = 65535;
+
+const REQUIRED_FIELDS = ['pubkey', 'created_at', 'kind', 'sig'];
+
+const isTag = tag => Array.isArray(tag) && tag.length > 0 && tag.every(v => typeof v === 'string');
+
+/**
+ * First thing wrong with the shape of `event`, as { reason, message,
+ * details: { field } }, or null if it is well-formed. `id` is optional
+ * (the relay computes it), `content` and `tags` default to empty.
+ */
+export function validateEvent(event) {
+  const invalid = (reason, field, message) => ({ reason, message, details: { field } });
+
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return invalid('invalid_event', null, 'Event must be a JSON object');
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    if (event[field] === undefined || event[field] === null) {
+      return invalid('missing_fields', field, `Missing required field: ${field}`);
+    }
+  }
+
+  if (event.id !== undefined && !(typeof event.id === 'string' && HEX_64.test(event.id))) {
+    return invalid('invalid_id', 'id', 'id must be 64 lowercase hex characters');
+  }
+  if (typeof event.pubkey !== 'string' || !HEX_64.test(event.pubkey)) {
+    return invalid('invalid_pubkey', 'pubkey', 'pubkey must be 64 lowercase hex characters');
+  }
+  if (typeof event.sig !== 'string' || !HEX_128.test(event.sig)) {
+    return invalid('invalid_sig', 'sig', 'sig must be 128 lowercase hex characters');
+  }
+  if (!Number.isInteger(event.kind) || event.kind < 0 || event.kind > MAX_KIND) {
+    return invalid('invalid_kind', 'kind', `kind must be an integer between 0 and ${MAX_KIND}`);
+  }
+  if (!Number.isSafeInteger(event.created_at) || event.created_at < 0) {
+    return invalid('invalid_created_at', 'created_at', 'created_at must be a unix timestamp in seconds');
+  }
+  if (event.content !== undefined && typeof event.content !== 'string') {
+    return invalid('invalid_content', 'content', 'content must be a string');
+  }
+
+  if (event.tags !== undefined) {
+    if (!Array.isArray(event.tags)) {
+      return invalid('invalid_tags', 'tags', 'tags must be an array');
+    }
+    const bad = event.tags.findIndex(tag => !isTag(tag));
+    if (bad >= 0) {
+      return invalid('invalid_tags', 'tags', `tags[${bad}] must be a non-empty array of strings`);
+    }
+  }
+
+  return null;
+}
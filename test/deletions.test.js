@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, postEvent, connect } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Deletions (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+
+    before(async () => {
+      relay = await startRelay({ backend });
+    });
+    after(() => relay.stop());
+
+    it('removes the author\'s events, tells subscribers and refuses them again', async () => {
+      const { event: post } = await alice.publish(relay.url, 1, 'a post');
+      const { event: reply } = await bob.publish(relay.url, 2, 'a reply', [['reply_to', post.id]]);
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'req', sub: 'replies', filters: [{ kinds: [2] }] });
+      await ws.next(m => m.type === 'eose');
+
+      const { response } = await bob.publish(relay.url, 6, '', [['delete', reply.id]]);
+      assert.equal(response.success, true);
+      assert.deepEqual(await ws.next(m => m.type === 'deleted'), { type: 'deleted', sub: 'replies', ids: [reply.id] });
+      ws.close();
+
+      assert.equal((await getJson(relay.url, `/events/${reply.id}`)).status, 404);
+      const { replyCounts } = await getJson(relay.url, `/events?kind=1&enrich=true`);
+      assert.equal(replyCounts[post.id], 0);
+
+      const again = await postEvent(relay.url, reply);
+      assert.equal(again.reason, 'deleted');
+    });
+
+    it('refuses to delete someone else\'s event', async () => {
+      const { event: post } = await alice.publish(relay.url, 1, 'not yours');
+      const { response } = await bob.publish(relay.url, 6, '', [['delete', post.id]]);
+      assert.equal(response.status, 400);
+      assert.equal(response.reason, 'not_author');
+      assert.equal((await getJson(relay.url, `/events/${post.id}`)).status, 200);
+    });
+  });
+}
@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, eventually, openStorage, removeDir, now } from './helpers.js';
+
+const stored = async (relay, id) => (await getJson(relay.url, `/events/${id}`)).success;
+
+for (const backend of BACKENDS) {
+  describe(`Federation (${backend})`, () => {
+    let upstream;
+    let mirror;
+    const alice = createAgent();
+    let backfilled;
+
+    before(async () => {
+      upstream = await startRelay({ backend });
+      ({ event: backfilled } = await alice.publish(upstream.url, 1, 'published before the mirror started'));
+      mirror = await startRelay({ backend, env: { STARPULSE_PEERS: upstream.url, STARPULSE_PUSH_PEERS: 'true' } });
+    });
+    after(async () => {
+      await mirror.stop();
+      await upstream.stop();
+    });
+
+    it('backfills stored events from a peer', async () => {
+      await eventually(() => stored(mirror, backfilled.id));
+      const { event } = await getJson(mirror.url, `/events/${backfilled.id}`);
+      assert.deepEqual(event, backfilled);
+    });
+
+    it('mirrors live events and reports the peer as connected', async () => {
+      await eventually(async () => (await getJson(mirror.url, '/peers')).peers[0]?.connected);
+      const { event } = await alice.publish(upstream.url, 1, 'published live');
+      await eventually(() => stored(mirror, event.id));
+
+      const { peers } = await getJson(mirror.url, '/peers');
+      assert.equal(peers[0].url, upstream.url);
+      assert.ok(peers[0].cursor >= event.created_at);
+    });
+
+    it('pushes locally authored events upstream when asked to', async () => {
+      const { event, response } = await alice.publish(mirror.url, 1, 'published on the mirror');
+      assert.equal(response.success, true);
+      await eventually(() => stored(upstream, event.id));
+    });
+  });
+}
+
+for (const backend of ['sqlite', 'jsonl']) {
+  describe(`Federation cursor (${backend})`, () => {
+    it('saves the cursor of live events when it shuts down', async () => {
+      const upstream = await startRelay({ backend });
+      const mirror = await startRelay({ backend, env: { STARPULSE_PEERS: upstream.url } });
+      try {
+        await eventually(async () => (await getJson(mirror.url, '/peers')).peers[0]?.connected);
+        const { event } = await createAgent().publish(upstream.url, 1, 'from a minute ahead', [], { created_at: now() + 60 });
+        await eventually(() => stored(mirror, event.id));
+
+        await mirror.stop({ keep: true });
+        const storage = await openStorage(backend, mirror.dataDir);
+        assert.equal(storage.getPeerState(upstream.url).cursor, event.created_at);
+        await storage.close();
+      } finally {
+        await mirror.stop();
+        await upstream.stop();
+      }
+    });
+  });
+}
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, now } from './helpers.js';
+
+const follow = (...pubkeys) => pubkeys.map(pk => ['follow', pk]);
+
+for (const backend of BACKENDS) {
+  describe(`Follows (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    const carol = createAgent();
+    const dave = createAgent();
+
+    before(async () => {
+      relay = await startRelay({ backend });
+    });
+    after(() => relay.stop());
+
+    it('lists following and followers and builds the home timeline', async () => {
+      await alice.publish(relay.url, 4, '', follow(bob.pubkey, carol.pubkey));
+      const { event: followed } = await bob.publish(relay.url, 1, 'from bob');
+      await dave.publish(relay.url, 1, 'from dave');
+
+      const { following } = await getJson(relay.url, `/agents/${alice.pubkey}/following`);
+      assert.deepEqual([...following].sort(), [bob.pubkey, carol.pubkey].sort());
+      const { followers } = await getJson(relay.url, `/agents/${bob.pubkey}/followers`);
+      assert.deepEqual(followers, [alice.pubkey]);
+
+      const timeline = await getJson(relay.url, `/agents/${alice.pubkey}/timeline`);
+      assert.equal(timeline.following, 2);
+      assert.deepEqual(timeline.events.map(e => e.id), [followed.id]);
+    });
+
+    it('replaces the follow list with the latest one', async () => {
+      await alice.publish(relay.url, 4, '', follow(carol.pubkey), { created_at: now() + 1 });
+
+      const { following } = await getJson(relay.url, `/agents/${alice.pubkey}/following`);
+      assert.deepEqual(following, [carol.pubkey]);
+      const { followers } = await getJson(relay.url, `/agents/${bob.pubkey}/followers`);
+      assert.deepEqual(followers, []);
+    });
+  });
+}
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, now } from './helpers.js';
+
+const hashtags = (...names) => names.map(name => ['t', name]);
+
+for (const backend of BACKENDS) {
+  describe(`Hashtags (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    let tagged;
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      tagged = [
+        (await alice.publish(relay.url, 1, 'about #rust', hashtags('rust'))).event,
+        (await bob.publish(relay.url, 1, '#rust and #go', hashtags('rust', 'go'))).event,
+        (await bob.publish(relay.url, 1, 'more #go', hashtags('go'))).event
+      ];
+      await alice.publish(relay.url, 1, 'old #cobol', hashtags('cobol'), { created_at: now() - 2 * 3600 });
+    });
+    after(() => relay.stop());
+
+    it('serves a feed per tag, ignoring case and the #', async () => {
+      const { tag, events } = await getJson(relay.url, `/tags/${encodeURIComponent('#Rust')}`);
+      assert.equal(tag, 'rust');
+      assert.deepEqual(events.map(e => e.id).sort(), [tagged[0].id, tagged[1].id].sort());
+    });
+
+    it('ranks trending tags by authors, then posts, within the window', async () => {
+      const { window, tags } = await getJson(relay.url, '/trending?window=1h');
+      assert.equal(window, 3600);
+      assert.deepEqual(tags, [
+        { tag: 'rust', posts: 2, authors: 2 },
+        { tag: 'go', posts: 2, authors: 1 }
+      ]);
+
+      const wider = await getJson(relay.url, '/trending?window=1d');
+      assert.ok(wider.tags.some(t => t.tag === 'cobol'));
+      assert.equal((await getJson(relay.url, '/trending?window=soon')).status, 400);
+    });
+  });
+}
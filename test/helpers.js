@@ -0,0 +1,230 @@
+/**
+ * Test helpers: relays started as child processes on a free port, signed
+ * events from throwaway agents, storage backends and CLI installs in
+ * temporary directories.
+ */
+
+import { spawn, execFile } from 'child_process';
+import { createServer } from 'net';
+import { mkdtempSync, writeFileSync, rmSync, cpSync, symlinkSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import { generateKeypair, signEvent } from '../src/crypto.js';
+import { createStorage } from '../src/storage/index.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Every behaviour test runs against these storage backends
+export const BACKENDS = ['memory', 'sqlite'];
+
+// Rate limits would trip on the bursts tests publish; tests that need them
+// configure their own
+const DEFAULT_CONFIG = { rateLimits: { pubkey: null, ip: null } };
+
+export const now = () => Math.floor(Date.now() / 1000);
+
+export function tempDir(prefix = 'starpulse-test-') {
+  return mkdtempSync(join(tmpdir(), prefix));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start a relay on a free port and wait until it listens. `config` is the
+ * relay config file's contents, `env` extra environment variables and
+ * `dataDir` a directory to reuse (a fresh one otherwise). Returns
+ * { url, wsUrl, dataDir, output, stop(), kill() }: stop() shuts down
+ * cleanly, kill() like a crash (keeping the data directory).
+ */
+export async function startRelay({ backend = 'memory', config = DEFAULT_CONFIG, env = {}, dataDir = tempDir() } = {}) {
+  const port = await freePort();
+  const configPath = join(dataDir, 'relay.json');
+  writeFileSync(configPath, JSON.stringify(config));
+
+  const child = spawn(process.execPath, [join(ROOT, 'src', 'index.js')], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      STARPULSE_STORAGE: backend,
+      STARPULSE_DATA_DIR: dataDir,
+      STARPULSE_CONFIG: configPath,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const exited = new Promise(resolve => child.on('exit', resolve));
+  await new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Listening on')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    exited.then(code => reject(new Error(`Relay exited with ${code}:\n${output}`)));
+  });
+
+  const relay = {
+    url: `http://localhost:${port}`,
+    wsUrl: `ws://localhost:${port}`,
+    dataDir,
+    get output() {
+      return output;
+    },
+    // Shut down cleanly; the data directory is removed unless `keep`
+    async stop({ keep = false } = {}) {
+      child.kill('SIGTERM');
+      await exited;
+      if (!keep) removeDir(dataDir);
+    },
+    async kill() {
+      child.kill('SIGKILL');
+      await exited;
+    }
+  };
+  return relay;
+}
+
+/**
+ * A throwaway agent: `event(kind, content, tags, fields)` signs an event by
+ * it, `publish(url, ...)` signs one and posts it to a relay
+ */
+export function createAgent() {
+  const keys = generateKeypair();
+  const agent = {
+    pubkey: keys.publicKey,
+    secretKey: keys.secretKey,
+    event(kind, content = '', tags = [], fields = {}) {
+      return signEvent({ pubkey: keys.publicKey, created_at: now(), kind, content, tags, ...fields }, keys.secretKey);
+    },
+    async publish(url, kind, content, tags, fields) {
+      const event = agent.event(kind, content, tags, fields);
+      const response = await postEvent(url, event);
+      return { event, response };
+    }
+  };
+  return agent;
+}
+
+// POST an event; returns the response body with its HTTP status
+export async function postEvent(url, event, headers = {}) {
+  const res = await fetch(`${url}/events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(event)
+  });
+  return { status: res.status, ...(await res.json()) };
+}
+
+// GET a relay path; returns the response body with its HTTP status
+export async function getJson(url, path, headers = {}) {
+  const res = await fetch(`${url}${path}`, { headers });
+  return { status: res.status, ...(await res.json()) };
+}
+
+/**
+ * Open a WebSocket to a relay. Returns { send(msg), next(predicate),
+ * close() }, where next() resolves with the next message matching the
+ * predicate (or any message), including ones that arrived earlier.
+ */
+export async function connect(wsUrl) {
+  const ws = new WebSocket(wsUrl);
+  const queue = [];
+  const waiting = [];
+
+  ws.on('message', (data) => {
+    const msg = JSON.parse(data.toString());
+    const index = waiting.findIndex(w => w.predicate(msg));
+    if (index >= 0) waiting.splice(index, 1)[0].resolve(msg);
+    else queue.push(msg);
+  });
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+
+  return {
+    send: msg => ws.send(JSON.stringify(msg)),
+    next(predicate = () => true, timeout = 5000) {
+      const index = queue.findIndex(predicate);
+      if (index >= 0) return Promise.resolve(queue.splice(index, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiting.push(waiter);
+        setTimeout(() => {
+          const at = waiting.indexOf(waiter);
+          if (at >= 0) {
+            waiting.splice(at, 1);
+            reject(new Error('Timed out waiting for a WebSocket message'));
+          }
+        }, timeout).unref();
+      });
+    },
+    // Messages received so far that nobody waited for
+    pending: () => [...queue],
+    close() {
+      ws.close();
+    }
+  };
+}
+
+/**
+ * A copy of the skill in a temporary directory, so the CLI keeps its key and
+ * cursors there. run(args, { relay, env }) resolves with { code,
+ * stdout, stderr }; remove() deletes the copy.
+ */
+export function installCli() {
+  const dir = tempDir('starpulse-cli-');
+  cpSync(join(ROOT, 'skill', 'lib'), join(dir, 'lib'), { recursive: true });
+  cpSync(join(ROOT, 'skill', 'package.json'), join(dir, 'package.json'));
+  symlinkSync(join(ROOT, 'node_modules'), join(dir, 'node_modules'));
+
+  return {
+    dir,
+    run(args, { relay, env = {} } = {}) {
+      return new Promise((resolve) => {
+        const child = execFile(process.execPath, [join(dir, 'lib', 'cli.js'), ...args], {
+          env: { PATH: process.env.PATH, ...(relay && { STARPULSE_RELAY: relay.url }), ...env },
+          timeout: 30000
+        }, (err, stdout, stderr) => resolve({ code: err ? err.code ?? 1 : 0, stdout, stderr }));
+        child.stdin.end();
+      });
+    },
+    remove: () => removeDir(dir)
+  };
+}
+
+// A storage backend in a fresh temporary directory
+export async function openStorage(backend, dataDir = tempDir()) {
+  const storage = await createStorage({ backend, dataDir });
+  return Object.assign(storage, { dataDir });
+}
+
+export function removeDir(dir) {
+  rmSync(dir, { recursive: true, force: true });
+}
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry `check` until it returns something truthy, or fail after `timeout` ms
+export async function eventually(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (true) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await sleep(50);
+  }
+}
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, postEvent, now } from './helpers.js';
+import { signEvent, signMessage } from '../src/crypto.js';
+import { rotationMessage } from '../src/keys.js';
+
+const profile = name => JSON.stringify({ name, bio: '' });
+
+for (const backend of BACKENDS) {
+  describe(`Delegated keys and rotation (${backend})`, () => {
+    let relay;
+    const master = createAgent();
+    const sub = createAgent();
+
+    // An event by the master, signed by the sub-key
+    const delegated = (kind, content, tags = []) => postEvent(relay.url, signEvent({
+      pubkey: master.pubkey,
+      created_at: now(),
+      kind,
+      content,
+      tags: [...tags, ['signer', sub.pubkey]]
+    }, sub.secretKey));
+
+    before(async () => {
+      relay = await startRelay({ backend });
+    });
+    after(() => relay.stop());
+
+    it('accepts events a delegation covers as the master\'s', async () => {
+      const t = now();
+      const { response } = await master.publish(relay.url, 11, '', [
+        ['delegate', sub.pubkey], ['kind', '1'], ['since', String(t - 60)], ['until', String(t + 3600)]
+      ]);
+      assert.equal(response.success, true);
+
+      const accepted = await delegated(1, 'signed by my sub-key');
+      assert.equal(accepted.success, true);
+      const { events } = await getJson(relay.url, `/events?author=${master.pubkey}&kind=1`);
+      assert.deepEqual(events.map(e => e.content), ['signed by my sub-key']);
+
+      assert.equal((await delegated(2, 'not covered', [['reply_to', events[0].id]])).reason, 'not_delegated');
+      assert.equal((await delegated(11, '', [['delegate', sub.pubkey], ['kind', '1']])).reason, 'not_delegated');
+    });
+
+    it('refuses a revoked sub-key', async () => {
+      await master.publish(relay.url, 12, '', [['revoke', sub.pubkey]]);
+      const refused = await delegated(1, 'too late');
+      assert.equal(refused.status, 400);
+      assert.equal(refused.reason, 'not_delegated');
+    });
+
+    it('moves an identity to a new key', async () => {
+      const old = createAgent();
+      const replacement = createAgent();
+      const follower = createAgent();
+      await old.publish(relay.url, 5, profile('old self'));
+      await follower.publish(relay.url, 4, '', [['follow', old.pubkey]]);
+
+      const forged = await old.publish(relay.url, 13, '', [['rotate', replacement.pubkey, signMessage('nope', replacement.secretKey)]]);
+      assert.equal(forged.response.reason, 'invalid_rotation');
+      const proof = signMessage(rotationMessage(old.pubkey, replacement.pubkey), replacement.secretKey);
+      assert.equal((await old.publish(relay.url, 13, '', [['rotate', replacement.pubkey, proof]])).response.success, true);
+
+      assert.equal((await old.publish(relay.url, 1, 'still me?')).response.reason, 'key_rotated');
+      assert.equal((await getJson(relay.url, `/agents/${old.pubkey}`)).rotatedTo, replacement.pubkey);
+      const moved = await getJson(relay.url, `/agents/${replacement.pubkey}`);
+      assert.deepEqual(moved.previousKeys, [old.pubkey]);
+      assert.equal(moved.profile.name, 'old self');
+      assert.deepEqual((await getJson(relay.url, `/agents/${replacement.pubkey}/followers`)).followers, [follower.pubkey]);
+    });
+  });
+}
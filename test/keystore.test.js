@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { BACKENDS, startRelay, getJson, installCli } from './helpers.js';
+import { generateKeypair, encryptSecretKey, decryptSecretKey } from '../src/crypto.js';
+
+const PASSPHRASE = { STARPULSE_PASSPHRASE: 'correct horse' };
+
+describe('Keystore encryption', () => {
+  it('opens a keystore with the right passphrase only', () => {
+    const { secretKey } = generateKeypair();
+    const keystore = encryptSecretKey(secretKey, 'correct horse');
+    assert.equal(JSON.stringify(keystore).includes(secretKey), false);
+    assert.equal(decryptSecretKey(keystore, 'correct horse'), secretKey);
+    assert.equal(decryptSecretKey(keystore, 'wrong'), null);
+    assert.equal(decryptSecretKey({ ...keystore, N: 2 ** 30 }, 'correct horse'), null);
+  });
+});
+
+for (const backend of BACKENDS) {
+  describe(`CLI keystore (${backend})`, () => {
+    let relay;
+    let cli;
+    const config = () => JSON.parse(readFileSync(join(cli.dir, 'data', 'agent.json'), 'utf8'));
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      cli = installCli();
+    });
+    after(async () => {
+      cli.remove();
+      await relay.stop();
+    });
+
+    it('refuses to write a plaintext key unless asked to', async () => {
+      const refused = await cli.run(['keygen'], { relay });
+      assert.notEqual(refused.code, 0);
+      assert.equal(existsSync(join(cli.dir, 'data', 'agent.json')), false);
+
+      assert.equal((await cli.run(['keygen', '--no-encrypt'], { relay })).code, 0);
+      assert.match(config().secretKey, /^[0-9a-f]{128}$/);
+    });
+
+    it('encrypts an existing key and signs with it once unlocked', async () => {
+      const { publicKey, secretKey } = config();
+      assert.equal((await cli.run(['encrypt-key'], { relay, env: PASSPHRASE })).code, 0);
+      const sealed = config();
+      assert.equal(sealed.secretKey, undefined);
+      assert.equal(decryptSecretKey(sealed.keystore, PASSPHRASE.STARPULSE_PASSPHRASE), secretKey);
+
+      assert.notEqual((await cli.run(['post', 'locked out'], { relay, env: { STARPULSE_PASSPHRASE: 'wrong' } })).code, 0);
+      assert.equal((await cli.run(['post', 'unlocked'], { relay, env: PASSPHRASE })).code, 0);
+      const { events } = await getJson(relay.url, `/events?author=${publicKey}`);
+      assert.deepEqual(events.map(e => e.content), ['unlocked']);
+    });
+
+    it('changes the passphrase and moves the key to another install', async () => {
+      const env = { ...PASSPHRASE, STARPULSE_NEW_PASSPHRASE: 'battery staple' };
+      assert.equal((await cli.run(['change-passphrase'], { relay, env })).code, 0);
+      const { publicKey } = config();
+
+      const out = join(cli.dir, 'exported.key');
+      assert.equal((await cli.run(['export-key', '--out', out], { relay })).code, 0);
+      assert.match(readFileSync(out, 'utf8'), /^-----BEGIN STARPULSE KEY-----\n[\s\S]+\n-----END STARPULSE KEY-----\n$/);
+
+      const other = installCli();
+      try {
+        assert.notEqual((await other.run(['import-key', out], { relay, env: PASSPHRASE })).code, 0);
+        assert.equal((await other.run(['import-key', out], { relay, env: { STARPULSE_PASSPHRASE: 'battery staple' } })).code, 0);
+        const { stdout } = await other.run(['whoami'], { relay });
+        assert.ok(stdout.includes(publicKey));
+      } finally {
+        other.remove();
+      }
+    });
+  });
+}
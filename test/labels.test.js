@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, installCli } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Labels (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const spammer = createAgent();
+    const trusted = createAgent();
+    const stranger = createAgent();
+    let good, spam, nsfw, spammerPost;
+
+    const label = (agent, labels, targets) => agent.publish(relay.url, 9, '', [
+      ...labels.map(l => ['label', l]),
+      ...targets
+    ]);
+    const feedIds = async query => (await getJson(relay.url, `/events?kind=1&${query}`)).events.map(e => e.id).sort();
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      ({ event: good } = await alice.publish(relay.url, 1, 'a fine post'));
+      ({ event: spam } = await alice.publish(relay.url, 1, 'buy now'));
+      ({ event: nsfw } = await alice.publish(relay.url, 1, 'racy'));
+      ({ event: spammerPost } = await spammer.publish(relay.url, 1, 'more spam'));
+      await label(trusted, ['spam'], [['event', spam.id], ['pubkey', spammer.pubkey]]);
+      await label(trusted, ['nsfw'], [['event', nsfw.id]]);
+      await label(stranger, ['spam'], [['event', good.id]]);
+    });
+    after(() => relay.stop());
+
+    it('refuses label events without labels or targets', async () => {
+      assert.equal((await label(trusted, ['spam'], [])).response.reason, 'invalid_label');
+      assert.equal((await label(trusted, [], [['event', good.id]])).response.reason, 'invalid_label');
+    });
+
+    it('returns labels for ids, narrowed by labeller and label', async () => {
+      const { labels } = await getJson(relay.url, `/labels?ids=${good.id},${spammer.pubkey}`);
+      assert.deepEqual(labels[good.id].map(l => [l.label, l.labeller]), [['spam', stranger.pubkey]]);
+      assert.deepEqual(labels[spammer.pubkey].map(l => l.label), ['spam']);
+
+      const narrowed = await getJson(relay.url, `/labels?ids=${good.id},${spam.id}&labellers=${trusted.pubkey}`);
+      assert.deepEqual(narrowed.labels[good.id] ?? [], []);
+      assert.equal(narrowed.labels[spam.id][0].label, 'spam');
+      assert.equal((await getJson(relay.url, '/labels')).status, 400);
+    });
+
+    it('lists labels from chosen labellers in the CLI, whatever the option order', async () => {
+      const cli = installCli();
+      try {
+        for (const args of [['labels', good.id, '--from', trusted.pubkey], ['labels', '--from', trusted.pubkey, good.id]]) {
+          const { code, stdout } = await cli.run(args, { relay });
+          assert.equal(code, 0);
+          assert.match(stdout, new RegExp(`0 labels on ${good.id.slice(0, 24)}`));
+        }
+        const { stdout } = await cli.run(['labels', good.id], { relay });
+        assert.match(stdout, /1 label on/);
+      } finally {
+        cli.remove();
+      }
+    });
+
+    it('hides what trusted labellers labelled from feeds', async () => {
+      assert.deepEqual(await feedIds(`hide_labels_from=${trusted.pubkey}`), [good.id]);
+      assert.deepEqual(await feedIds(`hide_labels_from=${trusted.pubkey}&hide_labels=nsfw`), [good.id, spam.id, spammerPost.id].sort());
+      assert.deepEqual(await feedIds(''), [good.id, spam.id, nsfw.id, spammerPost.id].sort());
+    });
+  });
+}
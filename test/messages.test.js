@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { BACKENDS, startRelay, createAgent, getJson, connect } from './helpers.js';
+import { encryptMessage, decryptMessage } from '../src/crypto.js';
+
+// A GET request signed by `agent` (see auth.js), and its Authorization header
+const signedEvent = (agent, path) => agent.event(14, randomBytes(16).toString('hex'), [['method', 'GET'], ['path', path]]);
+const signedRequest = (agent, path) => ({ Authorization: `Starpulse ${Buffer.from(JSON.stringify(signedEvent(agent, path))).toString('base64')}` });
+
+for (const backend of BACKENDS) {
+  describe(`Direct messages (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    const carol = createAgent();
+    let message;
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      const content = encryptMessage('hi bob', alice.secretKey, bob.pubkey);
+      ({ event: message } = await alice.publish(relay.url, 7, content, [['to', bob.pubkey]]));
+      await carol.publish(relay.url, 7, encryptMessage('hi alice', carol.secretKey, alice.pubkey), [['to', alice.pubkey]]);
+    });
+    after(() => relay.stop());
+
+    it('refuses malformed messages and signed requests', async () => {
+      const { response } = await alice.publish(relay.url, 7, 'plain text', [['to', bob.pubkey]]);
+      assert.equal(response.reason, 'invalid_message');
+
+      const { response: stored } = await alice.publish(relay.url, 14, 'a signed request', [['method', 'GET'], ['path', '/']]);
+      assert.equal(stored.reason, 'kind_not_allowed');
+    });
+
+    it('serves an agent\'s messages only on a request it signed', async () => {
+      const path = `/agents/${bob.pubkey}/messages`;
+      const unsigned = await getJson(relay.url, path);
+      assert.equal(unsigned.status, 401);
+      assert.equal(unsigned.reason, 'unauthorized');
+
+      const someoneElse = await getJson(relay.url, path, signedRequest(carol, path));
+      assert.equal(someoneElse.status, 403);
+      assert.equal(someoneElse.reason, 'forbidden');
+
+      const headers = signedRequest(bob, path);
+      const { messages } = await getJson(relay.url, path, headers);
+      assert.deepEqual(messages.map(m => m.id), [message.id]);
+      assert.equal(decryptMessage(messages[0].content, bob.secretKey, alice.pubkey), 'hi bob');
+
+      const replayed = await getJson(relay.url, path, headers);
+      assert.equal(replayed.status, 401);
+    });
+
+    it('narrows to one conversation with ?with=', async () => {
+      const path = `/agents/${alice.pubkey}/messages`;
+      const all = await getJson(relay.url, path, signedRequest(alice, path));
+      assert.equal(all.messages.length, 2);
+
+      const withBob = await getJson(relay.url, `${path}?with=${bob.pubkey}`, signedRequest(alice, path));
+      assert.deepEqual(withBob.messages.map(m => m.id), [message.id]);
+    });
+
+    it('keeps messages out of public reads', async () => {
+      const ids = events => events.map(e => e.id);
+      assert.deepEqual((await getJson(relay.url, '/events?kind=7')).events, []);
+      assert.ok(!ids((await getJson(relay.url, '/events')).events).includes(message.id));
+      assert.deepEqual((await getJson(relay.url, `/events?tag=to:${bob.pubkey}`)).events, []);
+      assert.equal((await getJson(relay.url, `/events/${message.id}`)).status, 404);
+      assert.equal((await getJson(relay.url, `/events/${message.id}/thread`)).status, 404);
+    });
+
+    it('lists message notifications only on a request the recipient signed', async () => {
+      const path = `/agents/${bob.pubkey}/notifications`;
+      assert.deepEqual((await getJson(relay.url, path)).notifications, []);
+      assert.equal((await getJson(relay.url, path, signedRequest(carol, path))).status, 403);
+
+      const { notifications } = await getJson(relay.url, path, signedRequest(bob, path));
+      assert.deepEqual(notifications.map(n => [n.type, n.event.id]), [['message', message.id]]);
+    });
+
+    it('pushes messages over the WebSocket only to the signed-in recipient', async () => {
+      const snoop = await connect(relay.wsUrl);
+      snoop.send({ type: 'req', sub: 'dms', filters: [{ kinds: [7] }, {}] });
+      snoop.send({ type: 'notifications', sub: 'theirs', pubkey: bob.pubkey });
+      snoop.send({ type: 'notifications', sub: 'forged', pubkey: bob.pubkey, auth: signedEvent(carol, `/agents/${bob.pubkey}/notifications`) });
+      const forged = await snoop.next(m => m.sub === 'forged');
+      assert.equal(forged.type, 'closed');
+      await snoop.next(m => m.type === 'eose' && m.sub === 'theirs');
+      await snoop.next(m => m.type === 'eose' && m.sub === 'dms');
+
+      const inbox = await connect(relay.wsUrl);
+      inbox.send({ type: 'notifications', sub: 'inbox', pubkey: bob.pubkey, limit: 0, auth: signedEvent(bob, `/agents/${bob.pubkey}/notifications`) });
+      await inbox.next(m => m.type === 'eose');
+
+      const { event: live } = await alice.publish(relay.url, 7, encryptMessage('again', alice.secretKey, bob.pubkey), [['to', bob.pubkey]]);
+      const { notification } = await inbox.next(m => m.type === 'notification');
+      assert.deepEqual([notification.type, notification.event.id], ['message', live.id]);
+
+      // A post published afterwards arrives, so the message would have too
+      const { event: post } = await alice.publish(relay.url, 1, 'public');
+      await snoop.next(m => m.type === 'event' && m.event.id === post.id);
+      assert.deepEqual(snoop.pending().filter(m => m.event?.kind === 7 || m.notification), []);
+      snoop.close();
+      inbox.close();
+    });
+  });
+}
@@ -0,0 +1,91 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, postEvent, getJson } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Moderation (${backend})`, () => {
+    let relay;
+    const operator = createAgent();
+    const alice = createAgent();
+    const bob = createAgent();
+    const carol = createAgent();
+    let post;
+    let newer;
+
+    // Sign a command as `agent` and send it to POST /admin
+    const admin = async (command, agent = operator) => {
+      const res = await fetch(`${relay.url}/admin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(agent.event(8, JSON.stringify(command)))
+      });
+      return { status: res.status, ...(await res.json()) };
+    };
+    const counts = async () => {
+      const feed = await getJson(relay.url, `/events?author=${alice.pubkey}&kind=1&enrich=true`);
+      return { replies: feed.replyCounts[post.id], upvotes: feed.upvoteCounts[post.id] };
+    };
+
+    before(async () => {
+      relay = await startRelay({ backend, config: { moderation: { operator: operator.pubkey }, rateLimits: { pubkey: null, ip: null } } });
+      ({ event: post } = await alice.publish(relay.url, 1, 'a post'));
+      await bob.publish(relay.url, 2, 'a reply', [['reply_to', post.id]]);
+      await bob.publish(relay.url, 3, '+', [['target', post.id]]);
+      await carol.publish(relay.url, 3, '+', [['target', post.id]]);
+      ({ event: newer } = await carol.publish(relay.url, 1, 'a newer post', [], { created_at: post.created_at + 1 }));
+      await alice.publish(relay.url, 3, '+', [['target', newer.id]]);
+    });
+    after(() => relay.stop());
+
+    it('only takes requests signed by the operator', async () => {
+      const forbidden = await admin({ action: 'state' }, alice);
+      assert.equal(forbidden.status, 403);
+      assert.equal(forbidden.reason, 'forbidden');
+
+      const request = operator.event(8, JSON.stringify({ action: 'state' }));
+      await postEvent(relay.url, request);
+      const stored = await getJson(relay.url, `/events/${request.id}`);
+      assert.equal(stored.status, 404);
+    });
+
+    it('enforces bans in open mode, in reads, counts and ranking', async () => {
+      assert.equal((await admin({ action: 'mode', target: 'open' })).success, true);
+      assert.deepEqual(await counts(), { replies: 1, upvotes: 2 });
+      const top = async () => (await getJson(relay.url, '/events?sort=top&window=all')).events.map(e => e.id);
+      assert.deepEqual(await top(), [post.id, newer.id]);
+
+      await admin({ action: 'ban', target: bob.pubkey, reason: 'spam' });
+      assert.equal((await bob.publish(relay.url, 1, 'still here?')).response.reason, 'banned');
+      assert.deepEqual((await getJson(relay.url, `/events?author=${bob.pubkey}`)).events, []);
+      assert.deepEqual(await counts(), { replies: 0, upvotes: 1 });
+      assert.deepEqual(await top(), [newer.id, post.id]);
+
+      await admin({ action: 'unban', target: bob.pubkey });
+      assert.deepEqual(await counts(), { replies: 1, upvotes: 2 });
+      assert.deepEqual(await top(), [post.id, newer.id]);
+    });
+
+    it('hides and unhides events', async () => {
+      const { event } = await carol.publish(relay.url, 1, 'off-topic');
+      await admin({ action: 'hide', target: event.id });
+      assert.equal((await getJson(relay.url, `/events/${event.id}`)).status, 404);
+      assert.equal((await postEvent(relay.url, event)).reason, 'hidden');
+
+      await admin({ action: 'unhide', target: event.id });
+      assert.equal((await getJson(relay.url, `/events/${event.id}`)).status, 200);
+    });
+
+    it('requires the allow list in allowlist mode and logs every action', async () => {
+      await admin({ action: 'mode', target: 'allowlist' });
+      assert.equal((await carol.publish(relay.url, 1, 'let me in')).response.reason, 'not_allowed');
+      await admin({ action: 'allow', target: carol.pubkey });
+      assert.equal((await carol.publish(relay.url, 1, 'thanks')).response.success, true);
+
+      const state = await admin({ action: 'state' });
+      assert.equal(state.mode, 'allowlist');
+      assert.deepEqual(state.allowed.map(a => a.target), [carol.pubkey]);
+      const { actions } = await admin({ action: 'actions', limit: 2 });
+      assert.deepEqual(actions.map(a => a.action), ['allow', 'mode']);
+    });
+  });
+}
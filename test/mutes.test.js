@@ -0,0 +1,59 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Mute lists (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    const carol = createAgent();
+    let byBob, wordy, thread, threadReply, fine;
+
+    const feedIds = async query => (await getJson(relay.url, `/events?kind=1&${query}`)).events.map(e => e.id).sort();
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      ({ event: byBob } = await bob.publish(relay.url, 1, 'hello from bob'));
+      ({ event: wordy } = await carol.publish(relay.url, 1, 'all about Crypto today'));
+      ({ event: thread } = await carol.publish(relay.url, 1, 'a long thread'));
+      ({ event: threadReply } = await carol.publish(relay.url, 2, 'and more', [['reply_to', thread.id], ['root', thread.id]]));
+      ({ event: fine } = await carol.publish(relay.url, 1, 'something else'));
+      await alice.publish(relay.url, 10, '', [['pubkey', bob.pubkey], ['word', 'crypto'], ['thread', thread.id]]);
+      await alice.publish(relay.url, 4, '', [['follow', bob.pubkey], ['follow', carol.pubkey]]);
+    });
+    after(() => relay.stop());
+
+    it('publishes the mute list and refuses malformed entries', async () => {
+      const mutes = await getJson(relay.url, `/agents/${alice.pubkey}/mutes`);
+      assert.deepEqual(mutes.pubkeys, [bob.pubkey]);
+      assert.deepEqual(mutes.words, ['crypto']);
+      assert.deepEqual(mutes.threads, [thread.id]);
+
+      const { response } = await alice.publish(relay.url, 10, '', [['pubkey', 'not hex']]);
+      assert.equal(response.reason, 'invalid_mute_list');
+    });
+
+    it('leaves muted agents, words and threads out of the viewer\'s feeds', async () => {
+      assert.deepEqual(await feedIds(`viewer=${alice.pubkey}`), [fine.id]);
+      assert.deepEqual(await feedIds(`viewer=${carol.pubkey}`), [byBob.id, wordy.id, thread.id, fine.id].sort());
+
+      const timeline = await getJson(relay.url, `/agents/${alice.pubkey}/timeline`);
+      assert.deepEqual(timeline.events.map(e => e.id), [fine.id]);
+    });
+
+    it('answers a muted marker for muted events opened directly', async () => {
+      for (const event of [byBob, wordy]) {
+        assert.deepEqual(await getJson(relay.url, `/events/${event.id}?viewer=${alice.pubkey}`), { status: 200, success: true, muted: true, id: event.id });
+        assert.equal((await getJson(relay.url, `/events/${event.id}/thread?viewer=${alice.pubkey}`)).muted, true);
+      }
+      assert.equal((await getJson(relay.url, `/events/${byBob.id}`)).event.id, byBob.id);
+    });
+
+    it('still shows the replies of a muted thread opened directly', async () => {
+      const opened = await getJson(relay.url, `/events/${thread.id}?replies=true&viewer=${alice.pubkey}`);
+      assert.equal(opened.muted, undefined);
+      assert.deepEqual(opened.replies.map(e => e.id), [threadReply.id]);
+    });
+  });
+}
@@ -0,0 +1,47 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, connect } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Notifications (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    let post;
+    let cursor;
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      ({ event: post } = await alice.publish(relay.url, 1, 'notify me'));
+    });
+    after(() => relay.stop());
+
+    it('lists replies, reactions, mentions and follows', async () => {
+      await bob.publish(relay.url, 2, 'a reply', [['reply_to', post.id]]);
+      await bob.publish(relay.url, 3, '+', [['target', post.id]]);
+      await bob.publish(relay.url, 1, `hello @${alice.pubkey}`, [['mention', alice.pubkey]]);
+      await bob.publish(relay.url, 4, '', [['follow', alice.pubkey]]);
+      await bob.publish(relay.url, 1, 'not about alice');
+
+      const inbox = await getJson(relay.url, `/agents/${alice.pubkey}/notifications`);
+      assert.deepEqual(inbox.notifications.map(n => n.type).sort(), ['follow', 'mention', 'reaction', 'reply']);
+      assert.ok(inbox.notifications.filter(n => n.type !== 'mention' && n.type !== 'follow').every(n => n.target === post.id));
+      cursor = inbox.cursor;
+
+      const since = await getJson(relay.url, `/agents/${alice.pubkey}/notifications?since=${cursor}`);
+      assert.deepEqual(since.notifications, []);
+    });
+
+    it('pushes notifications over the WebSocket', async () => {
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'notifications', sub: 'inbox', pubkey: alice.pubkey, since: cursor });
+      await ws.next(m => m.type === 'eose' && m.sub === 'inbox');
+
+      const { event: reply } = await bob.publish(relay.url, 2, 'live reply', [['reply_to', post.id]]);
+      const { notification } = await ws.next(m => m.type === 'notification');
+      assert.equal(notification.type, 'reply');
+      assert.equal(notification.event.id, reply.id);
+      ws.close();
+    });
+  });
+}
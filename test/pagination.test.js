@@ -0,0 +1,59 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, now } from './helpers.js';
+
+// Follow `cursors.before` until it runs out; returns every id seen, in order
+async function pageBack(relay, path, limit) {
+  const seen = [];
+  let query = `limit=${limit}`;
+  for (;;) {
+    const body = await getJson(relay.url, `${path}${path.includes('?') ? '&' : '?'}${query}`);
+    const events = body.events ?? body.recentPosts;
+    assert.ok(events.length <= limit);
+    seen.push(...events.map(e => e.id));
+    if (!body.cursors.before) return seen;
+    query = `limit=${limit}&before=${body.cursors.before}`;
+  }
+}
+
+for (const backend of BACKENDS) {
+  describe(`Cursor pagination (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    let posts;
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      // All in one busy second, so only the id breaks ties
+      const t = now();
+      posts = [];
+      for (let i = 0; i < 5; i++) posts.push((await alice.publish(relay.url, 1, `post ${i}`, [], { created_at: t })).event);
+    });
+    after(() => relay.stop());
+
+    it('pages through a busy second without skipping or repeating', async () => {
+      const seen = await pageBack(relay, '/events?kind=1', 2);
+      assert.equal(seen.length, 5);
+      assert.deepEqual([...seen].sort(), posts.map(e => e.id).sort());
+    });
+
+    it('pages forward from the newest cursor', async () => {
+      const { cursors } = await getJson(relay.url, '/events?kind=1&limit=5');
+      const empty = await getJson(relay.url, `/events?kind=1&after=${cursors.after}`);
+      assert.deepEqual(empty.events, []);
+      assert.equal(empty.cursors.after, cursors.after);
+
+      const { event: newer } = await alice.publish(relay.url, 1, 'newer', [], { created_at: now() + 1 });
+      const next = await getJson(relay.url, `/events?kind=1&after=${cursors.after}`);
+      assert.deepEqual(next.events.map(e => e.id), [newer.id]);
+    });
+
+    it('pages an agent\'s posts and rejects malformed cursors', async () => {
+      const seen = await pageBack(relay, `/agents/${alice.pubkey}`, 2);
+      assert.equal(new Set(seen).size, 6);
+
+      const bad = await getJson(relay.url, '/events?before=nonsense');
+      assert.equal(bad.status, 400);
+    });
+  });
+}
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { startRelay, createAgent, getJson, removeDir, tempDir } from './helpers.js';
+
+const publishAll = async (relay, agent, count) => {
+  const events = [];
+  for (let i = 0; i < count; i++) events.push((await agent.publish(relay.url, 1, `post ${i}`)).event);
+  return events;
+};
+
+const stored = async (relay, events) => {
+  for (const event of events) {
+    const { status } = await getJson(relay.url, `/events/${event.id}`);
+    if (status !== 200) return false;
+  }
+  return true;
+};
+
+describe('Persistence (sqlite)', () => {
+  it('replays the WAL after a crash, ignoring a torn final record', async () => {
+    const dataDir = tempDir();
+    const alice = createAgent();
+    try {
+      const first = await startRelay({ backend: 'sqlite', dataDir });
+      const events = await publishAll(first, alice, 3);
+      await first.kill();
+
+      const segment = readdirSync(dataDir).filter(name => name.startsWith('starpulse.wal.')).sort().pop();
+      appendFileSync(join(dataDir, segment), '{"type":"event","event":{"id":');
+
+      const second = await startRelay({ backend: 'sqlite', dataDir });
+      assert.match(second.output, /Replayed 3 WAL record\(s\)/);
+      assert.ok(await stored(second, events));
+      await second.stop({ keep: true });
+
+      // A clean shutdown folds the WAL into the snapshot
+      const third = await startRelay({ backend: 'sqlite', dataDir });
+      assert.doesNotMatch(third.output, /Replayed/);
+      assert.ok(await stored(third, events));
+      await third.stop();
+    } finally {
+      removeDir(dataDir);
+    }
+  });
+});
+
+describe('Persistence (memory)', () => {
+  it('keeps nothing on disk across restarts', async () => {
+    const dataDir = tempDir();
+    const alice = createAgent();
+    try {
+      const first = await startRelay({ backend: 'memory', dataDir });
+      const events = await publishAll(first, alice, 2);
+      await first.kill();
+
+      assert.deepEqual(readdirSync(dataDir), ['relay.json']);
+      const second = await startRelay({ backend: 'memory', dataDir });
+      assert.equal(await stored(second, events), false);
+      await second.stop();
+    } finally {
+      removeDir(dataDir);
+    }
+  });
+});
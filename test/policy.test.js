@@ -0,0 +1,88 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, connect, now, tempDir, removeDir } from './helpers.js';
+
+const POLICY = {
+  maxContentLength: 20,
+  maxTags: 2,
+  maxTagLength: 16,
+  allowedKinds: [1, 5, [30000, 30009]],
+  maxPastSkew: 3600,
+  maxFutureSkew: 60,
+  contentSchemas: {
+    5: null,
+    30001: { type: 'object', required: ['title'], properties: { title: { type: 'string' } } }
+  }
+};
+
+for (const backend of BACKENDS) {
+  describe(`Relay policy (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+
+    const refusal = async (kind, content, tags, fields) => {
+      const { response } = await alice.publish(relay.url, kind, content, tags, fields);
+      assert.equal(response.status, 400);
+      return response;
+    };
+
+    before(async () => {
+      relay = await startRelay({ backend, config: { policy: POLICY, rateLimits: { pubkey: null, ip: null } } });
+    });
+    after(() => relay.stop());
+
+    it('refuses events outside the configured limits with structured reasons', async () => {
+      assert.equal((await refusal(1, 'x'.repeat(21))).reason, 'content_too_long');
+      assert.equal((await refusal(1, 'hi', [['a', '1'], ['b', '2'], ['c', '3']])).reason, 'too_many_tags');
+      assert.equal((await refusal(1, 'hi', [['t', 'x'.repeat(17)]])).reason, 'tag_too_long');
+      assert.equal((await refusal(1, 'hi', [], { created_at: now() + 120 })).reason, 'created_at_too_new');
+      assert.equal((await refusal(1, 'hi', [], { created_at: now() - 7200 })).reason, 'created_at_too_old');
+
+      const kind = await refusal(2, 'hi', [['reply_to', 'a'.repeat(64)]]);
+      assert.equal(kind.reason, 'kind_not_allowed');
+      assert.deepEqual(kind.details, { kind: 2 });
+    });
+
+    it('checks configured content schemas and drops removed ones', async () => {
+      assert.equal((await refusal(30001, '{"name":"x"}')).reason, 'invalid_content');
+      assert.equal((await alice.publish(relay.url, 30001, '{"title":"x"}')).response.success, true);
+      assert.equal((await alice.publish(relay.url, 5, 'free-form bio')).response.success, true);
+    });
+
+    it('applies the same policy over the WebSocket and publishes it on /api', async () => {
+      const ws = await connect(relay.wsUrl);
+      const event = alice.event(1, 'x'.repeat(21));
+      ws.send({ type: 'publish', event });
+      const ok = await ws.next(m => m.type === 'ok');
+      assert.equal(ok.accepted, false);
+      assert.equal(ok.reason, 'content_too_long');
+      ws.close();
+
+      const { policy } = await getJson(relay.url, '/api');
+      assert.equal(policy.maxContentLength, 20);
+      assert.deepEqual(policy.allowedKinds, POLICY.allowedKinds);
+    });
+  });
+}
+
+describe('Relay policy config', () => {
+  it('refuses to start with an unknown setting', async () => {
+    const dataDir = tempDir();
+    await assert.rejects(startRelay({ config: { policy: { maxContent: 1 } }, dataDir }), /unknown setting "maxContent"/);
+    removeDir(dataDir);
+  });
+});
+
+describe('Default relay policy', () => {
+  it('requires a name in profiles, and nothing else', async () => {
+    const relay = await startRelay();
+    try {
+      const alice = createAgent();
+      assert.equal((await alice.publish(relay.url, 5, JSON.stringify({ name: 'Alice' }))).response.success, true);
+      const { response } = await alice.publish(relay.url, 5, JSON.stringify({ bio: 'no name' }));
+      assert.equal(response.reason, 'invalid_content');
+    } finally {
+      await relay.stop();
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, connect, getJson } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`WebSocket publishing (${backend})`, () => {
+    let relay;
+    before(async () => {
+      relay = await startRelay({ backend });
+    });
+    after(() => relay.stop());
+
+    it('acknowledges an accepted event and stores it', async () => {
+      const alice = createAgent();
+      const event = alice.event(1, 'over the socket');
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'publish', event });
+
+      const ok = await ws.next(m => m.type === 'ok');
+      assert.equal(ok.id, event.id);
+      assert.equal(ok.accepted, true);
+      assert.equal((await getJson(relay.url, `/events/${event.id}`)).event.content, 'over the socket');
+      ws.close();
+    });
+
+    it('refuses a bad signature with a reason', async () => {
+      const alice = createAgent();
+      const event = { ...alice.event(1, 'signed'), content: 'tampered' };
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'publish', event });
+
+      const ok = await ws.next(m => m.type === 'ok');
+      assert.equal(ok.accepted, false);
+      assert.ok(['bad_signature', 'id_mismatch'].includes(ok.reason));
+      ws.close();
+    });
+
+    it('pushes published events to other subscribers', async () => {
+      const alice = createAgent();
+      const listener = await connect(relay.wsUrl);
+      listener.send({ type: 'req', sub: 'live', filters: [{ authors: [alice.pubkey], limit: 0 }] });
+      await listener.next(m => m.type === 'eose');
+
+      const publisher = await connect(relay.wsUrl);
+      const event = alice.event(1, 'hello subscribers');
+      publisher.send({ type: 'publish', event });
+      assert.equal((await listener.next(m => m.type === 'event')).event.id, event.id);
+      listener.close();
+      publisher.close();
+    });
+  });
+}
@@ -0,0 +1,55 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, now } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Hot and top sorting (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const voters = [createAgent(), createAgent(), createAgent()];
+    const posts = {};
+
+    const feed = async query => (await getJson(relay.url, `/events?${query}`)).events.map(e => e.content);
+    const vote = (agent, post, content = '+', fields) => agent.publish(relay.url, 3, content, [['target', post.id]], fields);
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      const t = now();
+      for (const [name, age] of [['old', 3 * 86400], ['popular', 3600], ['discussed', 0], ['quiet', 0]]) {
+        posts[name] = (await alice.publish(relay.url, 1, name, [], { created_at: t - age })).event;
+      }
+      for (const voter of voters) await vote(voter, posts.old);
+      await vote(voters[0], posts.popular);
+      await vote(voters[1], posts.popular);
+      await voters[2].publish(relay.url, 2, 'a reply', [['reply_to', posts.discussed.id]]);
+    });
+    after(() => relay.stop());
+
+    it('ranks top by upvotes, then replies, within a window', async () => {
+      assert.deepEqual(await feed('sort=top&window=day'), ['popular', 'discussed', 'quiet']);
+      assert.deepEqual(await feed('sort=top&window=all'), ['old', 'popular', 'discussed', 'quiet']);
+    });
+
+    it('ranks hot by engagement decayed by age', async () => {
+      assert.deepEqual(await feed('sort=hot'), ['popular', 'discussed', 'quiet', 'old']);
+    });
+
+    it('updates scores as votes change and pages with a cursor', async () => {
+      const t = now() + 1;
+      await vote(voters[0], posts.popular, '-', { created_at: t });
+      await vote(voters[1], posts.popular, '-', { created_at: t });
+      assert.deepEqual(await feed('sort=top&window=day'), ['discussed', 'quiet', 'popular']);
+
+      const first = await getJson(relay.url, '/events?sort=top&window=all&limit=2');
+      const second = await getJson(relay.url, `/events?sort=top&window=all&limit=2&cursor=${first.cursors.next}`);
+      assert.deepEqual([...first.events, ...second.events].map(e => e.content), ['old', 'discussed', 'quiet', 'popular']);
+      assert.equal(second.cursors.next, null);
+    });
+
+    it('refuses unknown sorts, windows and unranked kinds', async () => {
+      assert.equal((await getJson(relay.url, '/events?sort=best')).status, 400);
+      assert.equal((await getJson(relay.url, '/events?sort=top&window=year')).status, 400);
+      assert.equal((await getJson(relay.url, '/events?sort=hot&kind=4')).status, 400);
+    });
+  });
+}
@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, postEvent, getJson, now } from './helpers.js';
+import { signEvent } from '../src/crypto.js';
+
+const RATE_LIMITS = {
+  pubkey: {
+    default: { burst: 2, perMinute: 1 },
+    kinds: { 3: { burst: 1, perMinute: 1 } }
+  },
+  ip: null,
+  pow: { difficulty: 8, cost: 0 }
+};
+
+for (const backend of BACKENDS) {
+  describe(`Rate limits (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+
+    before(async () => {
+      relay = await startRelay({ backend, config: { rateLimits: RATE_LIMITS } });
+    });
+    after(() => relay.stop());
+
+    it('limits each pubkey with a token bucket per kind', async () => {
+      const { event: post } = await alice.publish(relay.url, 1, 'one');
+      await alice.publish(relay.url, 1, 'two');
+      const { response } = await alice.publish(relay.url, 1, 'three');
+      assert.equal(response.status, 429);
+      assert.equal(response.reason, 'rate_limited');
+      assert.equal(response.details.scope, 'pubkey');
+      assert.ok(response.details.retryAfter > 0);
+
+      // Reactions have their own bucket
+      assert.equal((await alice.publish(relay.url, 3, '+', [['target', post.id]])).response.success, true);
+
+      const res = await fetch(`${relay.url}/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(alice.event(1, 'four'))
+      });
+      assert.equal(res.status, 429);
+      assert.ok(Number(res.headers.get('retry-after')) > 0);
+    });
+
+    it('charges only events that pass every other check', async () => {
+      const bob = createAgent();
+      for (let i = 0; i < 3; i++) {
+        const { response } = await bob.publish(relay.url, 2, 'orphan', [['reply_to', 'f'.repeat(64)], ['reply_to', 'e'.repeat(64)]]);
+        assert.equal(response.reason, 'invalid_reply');
+      }
+      assert.equal((await bob.publish(relay.url, 1, 'one')).response.success, true);
+      assert.equal((await bob.publish(relay.url, 1, 'two')).response.success, true);
+    });
+
+    it('lets proof of work through and publishes the limits', async () => {
+      const mined = signEvent({ pubkey: alice.pubkey, created_at: now(), kind: 1, content: 'worked for it', tags: [] }, alice.secretKey, { difficulty: 8 });
+      assert.equal((await postEvent(relay.url, mined)).success, true);
+
+      const { rateLimits } = await getJson(relay.url, '/api');
+      assert.deepEqual(rateLimits.pow, { difficulty: 8, cost: 0 });
+      assert.equal(rateLimits.ip, null);
+    });
+  });
+}
+
+describe('Rate limits per IP', () => {
+  it('limits every pubkey from one address together', async () => {
+    const relay = await startRelay({ config: { rateLimits: { pubkey: null, ip: { default: { burst: 1, perMinute: 1 } } } } });
+    try {
+      await createAgent().publish(relay.url, 1, 'first');
+      const { response } = await createAgent().publish(relay.url, 1, 'second');
+      assert.equal(response.reason, 'rate_limited');
+      assert.equal(response.details.scope, 'ip');
+    } finally {
+      await relay.stop();
+    }
+  });
+});
+
+describe('Rate limits behind a proxy', () => {
+  const limits = { rateLimits: { pubkey: null, ip: { default: { burst: 1, perMinute: 1 } } } };
+  const publishFrom = (relay, forwardedFor) => fetch(`${relay.url}/events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor },
+    body: JSON.stringify(createAgent().event(1, 'hello'))
+  }).then(res => res.json());
+
+  it('ignores X-Forwarded-For unless the proxy is trusted', async () => {
+    const relay = await startRelay({ config: limits });
+    try {
+      assert.equal((await publishFrom(relay, '203.0.113.1')).success, true);
+      assert.equal((await publishFrom(relay, '203.0.113.2')).reason, 'rate_limited');
+    } finally {
+      await relay.stop();
+    }
+  });
+
+  it('limits each client by the address the trusted proxy saw', async () => {
+    const relay = await startRelay({ config: limits, env: { STARPULSE_TRUST_PROXY: '1' } });
+    try {
+      assert.equal((await publishFrom(relay, '203.0.113.1')).success, true);
+      assert.equal((await publishFrom(relay, '203.0.113.2')).success, true);
+      // A client can't pick its own bucket by prepending an address
+      assert.equal((await publishFrom(relay, '198.51.100.7, 203.0.113.1')).reason, 'rate_limited');
+    } finally {
+      await relay.stop();
+    }
+  });
+});
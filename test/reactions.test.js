@@ -0,0 +1,47 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, now } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Reactions (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    const carol = createAgent();
+    let post;
+
+    const react = (agent, content, fields) => agent.publish(relay.url, 3, content, [['target', post.id]], fields);
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      ({ event: post } = await alice.publish(relay.url, 1, 'react to me'));
+    });
+    after(() => relay.stop());
+
+    it('counts one reaction per agent, with downvotes and emoji', async () => {
+      const t = now();
+      await react(bob, '+', { created_at: t });
+      await react(bob, '+', { created_at: t + 1 });
+      await react(carol, '🔥');
+
+      const opened = await getJson(relay.url, `/events/${post.id}?viewer=${bob.pubkey}`);
+      assert.deepEqual(opened.reactions, { '+': 1, '🔥': 1 });
+      assert.equal(opened.viewerReaction, '+');
+
+      await react(bob, '-', { created_at: t + 2 });
+      const feed = await getJson(relay.url, `/events?kind=1&enrich=true&viewer=${bob.pubkey}`);
+      assert.deepEqual(feed.reactionCounts[post.id], { '-': 1, '🔥': 1 });
+      assert.equal(feed.upvoteCounts[post.id], 0);
+      assert.deepEqual(feed.viewerReactions, { [post.id]: '-' });
+    });
+
+    it('undoes a reaction when it is deleted', async () => {
+      const { event: reaction } = await react(carol, '+', { created_at: now() + 3 });
+      await carol.publish(relay.url, 6, '', [['delete', reaction.id]], { created_at: now() + 4 });
+
+      const opened = await getJson(relay.url, `/events/${post.id}?viewer=${carol.pubkey}`);
+      assert.deepEqual(opened.reactions, { '-': 1 });
+      assert.equal(opened.viewerReaction, null);
+    });
+  });
+}
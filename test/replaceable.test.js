@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, now } from './helpers.js';
+
+const profile = name => JSON.stringify({ name, bio: `I am ${name}` });
+
+for (const backend of BACKENDS) {
+  describe(`Replaceable events (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+
+    before(async () => {
+      relay = await startRelay({ backend });
+    });
+    after(() => relay.stop());
+
+    it('keeps only the latest profile and refuses older versions', async () => {
+      const t = now();
+      const { event: first } = await alice.publish(relay.url, 5, profile('first'), [], { created_at: t });
+      const { response: replaced } = await alice.publish(relay.url, 5, profile('second'), [], { created_at: t + 1 });
+      assert.equal(replaced.success, true);
+
+      const agent = await getJson(relay.url, `/agents/${alice.pubkey}`);
+      assert.equal(agent.profile.name, 'second');
+      assert.equal((await getJson(relay.url, `/events/${first.id}`)).status, 404);
+
+      const { response } = await alice.publish(relay.url, 5, profile('stale'), [], { created_at: t - 1 });
+      assert.equal(response.status, 400);
+      assert.equal(response.reason, 'superseded');
+    });
+
+    it('replaces parameterized events per d tag', async () => {
+      const t = now();
+      await alice.publish(relay.url, 30001, 'draft', [['d', 'notes']], { created_at: t });
+      await alice.publish(relay.url, 30001, 'final', [['d', 'notes']], { created_at: t + 1 });
+      await alice.publish(relay.url, 30001, 'other', [['d', 'todo']], { created_at: t });
+
+      const { events } = await getJson(relay.url, `/events?author=${alice.pubkey}&kind=30001`);
+      assert.deepEqual(events.map(e => e.content).sort(), ['final', 'other']);
+    });
+
+    it('advertises replaceable kinds in /api', async () => {
+      const { kinds } = await getJson(relay.url, '/api');
+      assert.ok(kinds.replaceable.kinds.includes(5));
+      assert.deepEqual(kinds.parameterized_replaceable.key, ['pubkey', 'kind', 'd']);
+    });
+  });
+}
@@ -0,0 +1,45 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson } from './helpers.js';
+
+const found = body => body.results.map(r => r.event.id);
+
+for (const backend of BACKENDS) {
+  describe(`Search (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    let strong, weak, reply, profile;
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      ({ event: strong } = await alice.publish(relay.url, 1, 'solar flare, another solar flare, solar storms'));
+      ({ event: weak } = await bob.publish(relay.url, 1, 'a flare from a solar panel'));
+      ({ event: reply } = await bob.publish(relay.url, 2, 'solar wind', [['reply_to', strong.id]]));
+      ({ event: profile } = await bob.publish(relay.url, 5, JSON.stringify({ name: 'Sunny', bio: 'watches solar weather' })));
+      await alice.publish(relay.url, 1, 'nothing to see here');
+    });
+    after(() => relay.stop());
+
+    it('ranks posts, replies and profiles by relevance', async () => {
+      const body = await getJson(relay.url, '/search?q=solar');
+      assert.equal(body.total, 4);
+      assert.deepEqual(found(body).sort(), [strong.id, weak.id, reply.id, profile.id].sort());
+      assert.equal(found(body)[0], strong.id);
+      assert.ok(body.results[0].score >= body.results[1].score);
+    });
+
+    it('matches quoted phrases and filters by author and kind', async () => {
+      assert.deepEqual(found(await getJson(relay.url, '/search?q="solar flare"')), [strong.id]);
+      assert.deepEqual(found(await getJson(relay.url, `/search?q=solar&author=${bob.pubkey}&kind=1`)), [weak.id]);
+      assert.deepEqual(found(await getJson(relay.url, '/search?q=sunny')), [profile.id]);
+    });
+
+    it('pages results', async () => {
+      const first = await getJson(relay.url, '/search?q=solar&limit=3');
+      const second = await getJson(relay.url, `/search?q=solar&limit=3&cursor=${first.cursors.next}`);
+      assert.equal(second.cursors.next, null);
+      assert.equal(new Set([...found(first), ...found(second)]).size, 4);
+    });
+  });
+}
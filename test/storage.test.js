@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, createAgent, openStorage, removeDir, startRelay, tempDir } from './helpers.js';
+import { createStorage } from '../src/storage/index.js';
+
+for (const backend of BACKENDS) {
+  describe(`Storage interface (${backend})`, () => {
+    let storage;
+    const alice = createAgent();
+    const bob = createAgent();
+    let posts;
+
+    before(async () => {
+      storage = await openStorage(backend);
+      posts = [
+        alice.event(1, 'older', [], { created_at: 1000 }),
+        alice.event(1, 'newer', [], { created_at: 2000 }),
+        bob.event(1, 'by bob', [], { created_at: 1500 })
+      ];
+      for (const event of posts) assert.equal(storage.insertEvent(event), true);
+      storage.insertEvent(alice.event(5, JSON.stringify({ name: 'alice' })));
+    });
+    after(async () => {
+      await storage.close();
+      removeDir(storage.dataDir);
+    });
+
+    it('queries by filter, newest first, and by id', () => {
+      const byAlice = storage.getEvents({ author: alice.pubkey, kind: 1 });
+      assert.deepEqual(byAlice.map(e => e.content), ['newer', 'older']);
+      assert.deepEqual(storage.getEvents({ kind: 1, since: 1200, until: 1800 }).map(e => e.content), ['by bob']);
+      assert.deepEqual(storage.getEventById(posts[0].id), posts[0]);
+      assert.equal(storage.getEventById('0'.repeat(64)), null);
+    });
+
+    it('answers profiles and stats', () => {
+      assert.deepEqual(storage.getProfilesForPubkeys([alice.pubkey, bob.pubkey]), { [alice.pubkey]: { name: 'alice' } });
+
+      const profile = storage.getAgentProfile(alice.pubkey);
+      assert.deepEqual(profile.profile, { name: 'alice' });
+      assert.equal(profile.stats.posts, 2);
+      assert.deepEqual(storage.getStats(), { totalEvents: 4, totalAgents: 2 });
+    });
+  });
+}
+
+describe('Storage selection', () => {
+  it('refuses an unknown backend', async () => {
+    await assert.rejects(createStorage({ backend: 'nope' }), /Unknown storage backend "nope"/);
+
+    const dataDir = tempDir();
+    await assert.rejects(startRelay({ backend: 'nope', dataDir }), /Unknown storage backend/);
+    removeDir(dataDir);
+  });
+
+  it('runs a relay on the JSONL backend', async () => {
+    const dataDir = tempDir();
+    const alice = createAgent();
+    try {
+      const relay = await startRelay({ backend: 'jsonl', dataDir });
+      const { event } = await alice.publish(relay.url, 1, 'kept in events.jsonl');
+      await relay.kill();
+
+      const reopened = await openStorage('jsonl', dataDir);
+      assert.deepEqual(reopened.getEventById(event.id), event);
+      await reopened.close();
+    } finally {
+      removeDir(dataDir);
+    }
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, connect } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`WebSocket subscriptions (${backend})`, () => {
+    let relay;
+    before(async () => {
+      relay = await startRelay({ backend });
+    });
+    after(() => relay.stop());
+
+    it('replays stored matches, sends eose, then streams only live matches', async () => {
+      const alice = createAgent();
+      const bob = createAgent();
+      const { event: stored } = await alice.publish(relay.url, 1, 'stored post');
+      await bob.publish(relay.url, 1, 'someone else');
+
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'req', sub: 'alice', filters: [{ authors: [alice.pubkey], kinds: [1] }] });
+      const replayed = await ws.next(m => m.sub === 'alice');
+      assert.equal(replayed.type, 'event');
+      assert.equal(replayed.event.id, stored.id);
+      assert.equal((await ws.next(m => m.sub === 'alice')).type, 'eose');
+
+      await bob.publish(relay.url, 1, 'not for this subscription');
+      const { event: live } = await alice.publish(relay.url, 1, 'live post');
+      const pushed = await ws.next(m => m.sub === 'alice');
+      assert.equal(pushed.type, 'event');
+      assert.equal(pushed.event.id, live.id);
+
+      ws.send({ type: 'close', sub: 'alice' });
+      assert.equal((await ws.next(m => m.sub === 'alice')).type, 'closed');
+      await alice.publish(relay.url, 1, 'after close');
+      ws.close();
+    });
+
+    it('applies tag filters and replaces a subscription sent again', async () => {
+      const alice = createAgent();
+      const { event: post } = await alice.publish(relay.url, 1, 'root');
+      const { event: reply } = await alice.publish(relay.url, 2, 'reply', [['reply_to', post.id]]);
+
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'req', sub: 's', filters: [{ tags: { reply_to: [post.id] } }] });
+      assert.equal((await ws.next(m => m.sub === 's')).event.id, reply.id);
+      assert.equal((await ws.next(m => m.sub === 's')).type, 'eose');
+
+      ws.send({ type: 'req', sub: 's', filters: [{ ids: [post.id] }] });
+      assert.equal((await ws.next(m => m.sub === 's')).event.id, post.id);
+      assert.equal((await ws.next(m => m.sub === 's')).type, 'eose');
+      ws.close();
+    });
+
+    it('explains malformed requests', async () => {
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'req', sub: 'bad', filters: 'everything' });
+      const answer = await ws.next();
+      assert.ok(['closed', 'notice'].includes(answer.type));
+      assert.ok(answer.message);
+      ws.close();
+    });
+  });
+}
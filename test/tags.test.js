@@ -0,0 +1,73 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson, openStorage, removeDir } from './helpers.js';
+
+const ids = events => events.map(e => e.id).sort();
+
+for (const backend of BACKENDS) {
+  describe(`Tag queries (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    let post;
+    let replies;
+    let upvote;
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      ({ event: post } = await alice.publish(relay.url, 1, 'a post'));
+      const { event: other } = await alice.publish(relay.url, 1, 'another post');
+      replies = [
+        (await bob.publish(relay.url, 2, 'first reply', [['reply_to', post.id]])).event,
+        (await alice.publish(relay.url, 2, 'second reply', [['reply_to', post.id]])).event
+      ];
+      await bob.publish(relay.url, 2, 'elsewhere', [['reply_to', other.id]]);
+      ({ event: upvote } = await bob.publish(relay.url, 3, '+', [['target', post.id]]));
+    });
+    after(() => relay.stop());
+
+    it('filters events by common tags and ?tag=name:value', async () => {
+      const byParam = await getJson(relay.url, `/events?reply_to=${post.id}`);
+      assert.deepEqual(ids(byParam.events), ids(replies));
+
+      const byTag = await getJson(relay.url, `/events?tag=reply_to:${post.id}`);
+      assert.deepEqual(ids(byTag.events), ids(replies));
+
+      const targeting = await getJson(relay.url, `/events?target=${post.id}`);
+      assert.deepEqual(ids(targeting.events), [upvote.id]);
+    });
+
+    it('counts replies and upvotes from the tag index', async () => {
+      const feed = await getJson(relay.url, `/events?author=${alice.pubkey}&kind=1&enrich=true`);
+      assert.equal(feed.replyCounts[post.id], 2);
+      assert.equal(feed.upvoteCounts[post.id], 1);
+
+      const opened = await getJson(relay.url, `/events/${post.id}?replies=true`);
+      assert.deepEqual(ids(opened.replies), ids(replies));
+      assert.equal(opened.upvotes, 1);
+    });
+  });
+
+  describe(`Tag index storage (${backend})`, () => {
+    let storage;
+    const alice = createAgent();
+
+    before(async () => {
+      storage = await openStorage(backend);
+    });
+    after(async () => {
+      await storage.close();
+      removeDir(storage.dataDir);
+    });
+
+    it('answers tag filters and counts for events it stored', () => {
+      const post = alice.event(1, 'a post');
+      const reply = alice.event(2, 'a reply', [['reply_to', post.id]]);
+      storage.insertEvent(post);
+      storage.insertEvent(reply);
+
+      assert.deepEqual(ids(storage.getEvents({ tags: { reply_to: [post.id] } })), [reply.id]);
+      assert.deepEqual(storage.getReplyCounts([post.id]), { [post.id]: 1 });
+    });
+  });
+}
@@ -0,0 +1,57 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, getJson } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Threads (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+    let post, first, nested, second;
+
+    const reply = (agent, content, parent) => agent.publish(relay.url, 2, content, [['reply_to', parent.id], ['root', post.id]]);
+
+    before(async () => {
+      relay = await startRelay({ backend });
+      ({ event: post } = await alice.publish(relay.url, 1, 'root post'));
+      ({ event: first } = await reply(bob, 'first reply', post));
+      ({ event: nested } = await reply(alice, 'reply to the reply', first));
+      ({ event: second } = await reply(bob, 'second reply', post));
+      await alice.publish(relay.url, 3, '+', [['target', first.id]]);
+    });
+    after(() => relay.stop());
+
+    it('returns the whole reply tree with per-node counts', async () => {
+      const { root, parent, thread } = await getJson(relay.url, `/events/${post.id}/thread`);
+      assert.equal(root, post.id);
+      assert.equal(parent, null);
+      assert.deepEqual(thread.replies.map(n => n.event.id).sort(), [first.id, second.id].sort());
+
+      const firstNode = thread.replies.find(n => n.event.id === first.id);
+      assert.equal(firstNode.upvotes, 1);
+      assert.equal(firstNode.depth, 1);
+      assert.deepEqual(firstNode.replies.map(n => n.event.id), [nested.id]);
+      assert.equal(firstNode.replies[0].depth, 2);
+    });
+
+    it('cuts the tree at ?depth= and pages wide branches', async () => {
+      const shallow = await getJson(relay.url, `/events/${post.id}/thread?depth=1`);
+      const firstNode = shallow.thread.replies.find(n => n.event.id === first.id);
+      assert.deepEqual(firstNode.replies, []);
+      assert.equal(firstNode.moreReplies, 1);
+
+      const page = await getJson(relay.url, `/events/${post.id}/thread?limit=1`);
+      assert.equal(page.thread.replies.length, 1);
+      assert.equal(page.thread.moreReplies, 1);
+      const next = await getJson(relay.url, `/events/${post.id}/thread?limit=1&after=${page.thread.moreCursor}`);
+      const seen = [page.thread.replies[0].event.id, next.thread.replies[0].event.id];
+      assert.deepEqual(seen.sort(), [first.id, second.id].sort());
+    });
+
+    it('names the root and parent of a nested reply', async () => {
+      const { root, parent } = await getJson(relay.url, `/events/${nested.id}/thread`);
+      assert.equal(root, post.id);
+      assert.equal(parent, first.id);
+    });
+  });
+}
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { BACKENDS, startRelay, createAgent, postEvent, connect, getJson } from './helpers.js';
+
+for (const backend of BACKENDS) {
+  describe(`Event validation (${backend})`, () => {
+    let relay;
+    const alice = createAgent();
+    const bob = createAgent();
+
+    before(async () => {
+      relay = await startRelay({ backend });
+    });
+    after(() => relay.stop());
+
+    it('names what is wrong with a malformed event', async () => {
+      const event = alice.event(1, 'hello');
+      const cases = [
+        [[event], 'invalid_event'],
+        [{ ...event, sig: undefined }, 'missing_fields', 'sig'],
+        [{ ...event, pubkey: 'zz' }, 'invalid_pubkey', 'pubkey'],
+        [{ ...event, id: event.id.toUpperCase() }, 'invalid_id', 'id'],
+        [{ ...event, kind: 1.5 }, 'invalid_kind', 'kind'],
+        [{ ...event, created_at: '1700000000' }, 'invalid_created_at', 'created_at'],
+        [{ ...event, tags: [['t', 1]] }, 'invalid_tags', 'tags'],
+        [{ ...event, content: 42 }, 'invalid_content', 'content']
+      ];
+      for (const [body, reason, field] of cases) {
+        const response = await postEvent(relay.url, body);
+        assert.equal(response.status, 400, reason);
+        assert.equal(response.reason, reason);
+        if (field) assert.equal(response.details.field, field);
+      }
+    });
+
+    it('tells a wrong id from a wrong signature', async () => {
+      const event = alice.event(1, 'hello');
+      assert.equal((await postEvent(relay.url, { ...event, id: 'a'.repeat(64) })).reason, 'id_mismatch');
+      assert.equal((await postEvent(relay.url, { ...event, sig: bob.event(1, 'hello').sig })).reason, 'bad_signature');
+    });
+
+    it('accepts a stored event again as a duplicate, over HTTP and WebSocket', async () => {
+      const { event } = await alice.publish(relay.url, 1, 'once');
+      const again = await postEvent(relay.url, event);
+      assert.equal(again.success, true);
+      assert.equal(again.reason, 'duplicate');
+
+      const ws = await connect(relay.wsUrl);
+      ws.send({ type: 'publish', event });
+      const ok = await ws.next(m => m.type === 'ok');
+      assert.equal(ok.id, event.id);
+      assert.equal(ok.accepted, true);
+      assert.equal(ok.reason, 'duplicate');
+      ws.close();
+    });
+
+    it('lists every reason code on /api', async () => {
+      const { reasons } = await getJson(relay.url, '/api');
+      for (const code of ['invalid_pubkey', 'bad_signature', 'id_mismatch', 'duplicate']) assert.ok(code in reasons, code);
+    });
+  });
+}